@@ -6,6 +6,23 @@
 import "./src/types";
 /** END HOTFIX */
 
-export { create } from './src/microstates';
+export { create, events } from './src/microstates';
 export { default as from } from './src/literal';
 export { map, filter, reduce } from './src/query';
+export { batch } from './src/identity';
+export { use } from './src/middleware';
+export { record, replay } from './src/replay';
+export { default as store, Store, subscribe } from './src/store';
+export { default as stream } from './src/stream';
+export { serialize, deserialize } from './src/serialize';
+export { migrate } from './src/migrate';
+export { diff, applyPatch } from './src/patch';
+export { changes } from './src/changes';
+export { Field, Form, Resource } from './src/types';
+export { bindResource } from './src/types/resource';
+export { required, min, max, minLength, maxLength, matches } from './src/validation';
+export { default as persist } from './src/persist';
+export { default as MemoryStorage } from './src/storage/memory';
+export { default as WebStorage } from './src/storage/web';
+export { default as History } from './src/history';
+export { default as optimistic } from './src/optimistic';
@@ -0,0 +1,36 @@
+import { isObject } from './tree';
+
+// the paths of the values that differ between the states of two microstates
+export function changes(previous, next) {
+  return compare(previous.state, next.state, []);
+}
+
+function compare(previous, next, path) {
+  if (previous === next) {
+    return [];
+  } else if (Array.isArray(previous) && Array.isArray(next)) {
+    let common = Math.min(previous.length, next.length);
+    let changed = [];
+    for (let i = 0; i < common; i++) {
+      changed = changed.concat(compare(previous[i], next[i], path.concat(i)));
+    }
+    for (let i = previous.length - 1; i >= common; i--) {
+      changed.push(path.concat(i));
+    }
+    for (let i = common; i < next.length; i++) {
+      changed.push(path.concat(i));
+    }
+    return changed;
+  } else if (isObject(previous) && isObject(next)) {
+    let removed = Object.keys(previous).filter(key => !next.hasOwnProperty(key));
+    return Object.keys(next).reduce((changed, key) => {
+      if (previous.hasOwnProperty(key)) {
+        return changed.concat(compare(previous[key], next[key], path.concat(key)));
+      } else {
+        return changed.concat([path.concat(key)]);
+      }
+    }, removed.map(key => path.concat(key)));
+  } else {
+    return [path];
+  }
+}
@@ -0,0 +1,138 @@
+import SymbolObservable from 'symbol-observable';
+import { batch } from './identity';
+import { view, Path } from './lens';
+import Subscription from './subscription';
+import { isSamePath } from './tree';
+
+export default class History {
+  constructor(observable, { limit = 100, ignore = [] } = {}) {
+    this.limit = limit;
+    this.ignore = ignore;
+    this.past = [];
+    this.future = [];
+    this.subscriptions = [];
+    this.restoring = false;
+    this.grouping = 0;
+    this.grouped = false;
+    observable.subscribe({
+      next: next => this.receive(next),
+      error: error => this.subscriptions.forEach(subscription => subscription.error(error))
+    });
+  }
+
+  get canUndo() {
+    return this.past.length > 0;
+  }
+
+  get canRedo() {
+    return this.future.length > 0;
+  }
+
+  undo() {
+    if (this.canUndo) {
+      let previous = this.past.pop();
+      this.future.push(this.current);
+      this.restore(previous);
+    }
+    return this.current;
+  }
+
+  redo() {
+    if (this.canRedo) {
+      let next = this.future.pop();
+      this.past.push(this.current);
+      this.restore(next);
+    }
+    return this.current;
+  }
+
+  clear() {
+    this.past = [];
+    this.future = [];
+    this.notify();
+    return this.current;
+  }
+
+  group(fn) {
+    this.grouping++;
+    try {
+      fn(this.current);
+    } finally {
+      if (--this.grouping === 0) {
+        this.grouped = false;
+      }
+    }
+    return this.current;
+  }
+
+  subscribe(...observer) {
+    let subscription = new Subscription(...observer);
+    this.subscriptions.push(subscription);
+    subscription.next(this.current);
+    return subscription;
+  }
+
+  [SymbolObservable]() {
+    return this;
+  }
+
+  receive(next) {
+    let previous = this.current;
+    this.current = next;
+    if (previous !== undefined && !this.restoring && !isIgnored(previous, next, this.ignore)) {
+      this.record(previous);
+    }
+    this.notify();
+    return next;
+  }
+
+  record(previous) {
+    if (!this.grouped) {
+      this.past.push(previous);
+      if (this.past.length > this.limit) {
+        this.past.shift();
+      }
+      this.future = [];
+    }
+    if (this.grouping > 0) {
+      this.grouped = true;
+    }
+  }
+
+  restore(target) {
+    this.restoring = true;
+    try {
+      batch(this.current, current => {
+        let ignored = this.ignore.map(path => view(Path(path), current));
+        current.set(target);
+        this.ignore.forEach((path, i) => {
+          if (ignored[i] != null && view(Path(path), target) != null) {
+            view(Path(path), current).set(ignored[i]);
+          }
+        });
+      });
+    } finally {
+      this.restoring = false;
+    }
+  }
+
+  notify() {
+    this.subscriptions = this.subscriptions.filter(subscription => !subscription.closed);
+    this.subscriptions.forEach(subscription => subscription.next(this.current));
+  }
+}
+
+function isIgnored(previous, next, ignore, path = []) {
+  if (previous === next || ignore.some(ignored => isSamePath(ignored, path))) {
+    return true;
+  } else if (ignore.every(ignored => !isPrefix(path, ignored)) || previous == null || next == null) {
+    return false;
+  } else {
+    let keys = Object.keys(previous).concat(Object.keys(next)).filter(key => key !== 'state');
+    return keys.length > 0 && keys.every(key => isIgnored(previous[key], next[key], ignore, path.concat(key)));
+  }
+}
+
+function isPrefix(prefix, path) {
+  return prefix.length <= path.length && prefix.every((key, i) => String(key) === String(path[i]));
+}
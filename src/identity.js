@@ -1,33 +1,217 @@
 import { map, foldl } from 'funcadelic';
-import { Meta } from './microstates';
-import { treemap } from './tree';
+import { Meta, defineLazy, isLazy, sourceAt, deferredOf, settle } from './microstates';
 import parameterized from './parameterized';
 import { Hash, equals } from './hash';
+import { changes } from './changes';
+import memoize from './memoize';
+import validation, { parentOfMicrostate, isValidatedSubstate, withError } from './validation';
 
-//function composition should probably not be part of lens :)
-import { compose, view, Path } from './lens';
+import { view, Path } from './lens';
+import { isSamePath } from './tree';
 
 const info = Symbol('path');
+const transaction = Symbol('transaction');
+const source = Symbol('source');
 
-export default function Identity(microstate, observe = x => x) {
+export default function Identity(microstate, observe = x => x, { events = false, error, rejected = error, check } = {}) {
   let current;
   let identity;
-  let tick = compose(observe, update);
+  let batching = false;
+  let transitions = [];
 
-  function update(microstate) {
+  function tick(microstate, transition) {
+    if (events) {
+      let previous = identity;
+      let state = update(microstate, transition);
+      let changed = previous ? changes(previous, state) : undefined;
+      observe({ state, previous, transition, changes: changed, timestamp: Date.now() });
+      return state;
+    } else {
+      return observe(update(microstate, transition));
+    }
+  }
+
+  // only the identities on the paths of the transitions are rebuilt
+  function update(microstate, transition) {
     current = microstate;
+    let indexes = new WeakMap();
+    let claimed = new WeakSet();
 
-    return identity = treemap(isMicrostate, x => x, (microstate, path) => {
-      let proxy = view(Path(path), identity);
-      let Type = microstate.constructor.Type;
-      let value = microstate.state;
-      if (proxy == null || !equals(proxy, microstate)) {
-        let IdType = Id.of(Type)
-        return new IdType(value, path);
+    // members with duplicate keys fall back to the previous member at their index
+    function counterpart(key, node, parent, proxy) {
+      if (proxy == null) {
+        return undefined;
+      } else if (Array.isArray(parent.state) && keyOf(node) !== undefined) {
+        if (!indexes.has(proxy)) {
+          indexes.set(proxy, index(proxy));
+        }
+        let match = indexes.get(proxy).get(keyOf(node));
+        if (match !== undefined && claimed.has(match)) {
+          match = isLazy(proxy, key) ? undefined : proxy[key];
+        }
+        if (match == null || claimed.has(match) || keyOf(match) !== keyOf(node)) {
+          return undefined;
+        }
+        claimed.add(match);
+        return match;
+      } else if (isLazy(proxy, key)) {
+        return undefined;
       } else {
-        return proxy
+        return proxy[key];
+      }
+    }
+
+    function reconcile(proxy, node, path) {
+      return build(proxy, node, path, key => {
+        let child = node[key];
+        return reconcile(counterpart(key, child, node, proxy), child, path.concat(key));
+      });
+    }
+
+    function refresh(proxy, node, path, paths) {
+      if (proxy == null || paths.some(path => path.length === 0)) {
+        return reconcile(proxy, node, path);
+      }
+      let transitioned = foldl((transitioned, [key, ...rest]) => {
+        transitioned[key] = (transitioned[key] || []).concat([rest]);
+        return transitioned;
+      }, {}, paths);
+      return build(proxy, node, path, key => {
+        if (transitioned.hasOwnProperty(key)) {
+          let child = node[key];
+          return refresh(counterpart(key, child, node, proxy), child, path.concat(key), transitioned[key]);
+        } else if (isLazy(proxy, key)) {
+          return undefined;
+        } else {
+          return proxy[key];
+        }
+      });
+    }
+
+    // children that `childOf` returns undefined for are created when first accessed
+    function build(proxy, node, path, childOf) {
+      let lazy = [];
+      let children = foldl((children, key) => {
+        if (isLazy(node, key)) {
+          lazy.push(key);
+        } else if (isMicrostate(sourceAt(node, key))) {
+          let child = childOf(key);
+          if (child === undefined) {
+            lazy.push(key);
+          } else {
+            children[key] = child;
+          }
+        } else {
+          children[key] = node[key];
+        }
+        return children;
+      }, {}, Object.keys(node));
+
+      let unchanged = proxy != null && equals(proxy, node) && Object.keys(children).every(key => {
+        return !isLazy(proxy, key) && proxy[key] === children[key];
+      });
+      if (unchanged) {
+        if (!isSamePath(proxy[info], path)) {
+          Object.defineProperty(proxy, info, {
+            configurable: true,
+            value: path
+          });
+        }
+        return proxy;
+      } else {
+        // the errors of substates depend on the state of their parent, so
+        // the substates of a validated parent are not shared with the
+        // previous one
+        if (node.constructor.Type.validate != null) {
+          Object.keys(children).forEach(key => {
+            let child = children[key];
+            if (child != null && child[info] != null && child[source] !== node[key]) {
+              children[key] = copy(child, node[key], path.concat(key));
+            }
+          });
+        }
+        let IdType = idTypeOf(node);
+        let id = Object.assign(new IdType(node.state, path, node), children);
+        lazy.forEach(key => defineLazy(id, key, () => {
+          let child = node[key];
+          return reconcile(counterpart(key, child, node, proxy), child, path.concat(key));
+        }));
+        return id;
+      }
+    }
+
+    // a new identity of `node` with the same substates as `id`
+    function copy(id, node, path) {
+      let IdType = idTypeOf(node);
+      let copied = new IdType(node.state, path, node);
+      Object.keys(id).forEach(key => {
+        if (isLazy(id, key)) {
+          defineLazy(copied, key, () => id[key]);
+        } else {
+          copied[key] = id[key];
+        }
+      });
+      return copied;
+    }
+
+    if (transition == null) {
+      return identity = reconcile(identity, microstate, []);
+    } else {
+      return identity = refresh(identity, microstate, [], pathsOf(transition));
+    }
+  }
+
+  function publish(next, transition) {
+    if (batching) {
+      current = next;
+      transitions.push(transition);
+      return identity;
+    } else {
+      return tick(next, transition);
+    }
+  }
+
+  let calls = new Map();
+
+  // optimistic and settled states are both published as `set` transitions
+  function defer({ initial, path, promise, cancel }, name) {
+    if (initial !== current) {
+      publish(initial, { path, name: 'set', args: [view(Path(path), initial).state] });
+    }
+
+    let key = JSON.stringify(path.map(String).concat(name));
+    let call = (calls.get(key) || 0) + 1;
+    if (cancel) {
+      calls.set(key, call);
+    }
+    let superseded = () => cancel && calls.get(key) !== call;
+
+    return promise.then(value => {
+      if (superseded()) {
+        return identity;
+      }
+      let next = settle(current, path, value);
+      if (next === current) {
+        return identity;
+      }
+      return publish(next, { path, name: 'set', args: [view(Path(path), next).state] });
+    }).catch(e => {
+      if (superseded()) {
+        return identity;
+      } else if (!rejected) {
+        throw e;
       }
-    }, microstate);
+      rejected(e);
+      return identity;
+    });
+  }
+
+  // identities find their parents in the microstate they were built from
+  let parentOfId = id => parentOfMicrostate(id[source]);
+
+  function idTypeOf(node) {
+    let IdType = Id.of(node.constructor.Type);
+    return isValidatedSubstate(node) ? withError(IdType, parentOfId) : IdType;
   }
 
   let Id = parameterized(T => class Id extends T {
@@ -50,8 +234,25 @@ export default function Identity(microstate, observe = x => x) {
         methods[name] = function(...args) {
           let path = this[info];
           let microstate = view(Path(path), current);
-          let next = microstate[name](...args);
-          return tick(next);
+          let values = args.map(arg => arg != null && arg[source] ? arg[source] : arg);
+          if (check) {
+            check({ path, name, args: values });
+          }
+          let next;
+          try {
+            next = microstate[name](...values);
+          } catch (e) {
+            if (batching || !error) {
+              throw e;
+            }
+            error(e);
+            return identity;
+          }
+          let deferred = deferredOf(next);
+          if (deferred) {
+            return defer(deferred, name);
+          }
+          return publish(next, { path, name, args: values });
         }
         return methods;
       }, {}, methods));
@@ -61,6 +262,7 @@ export default function Identity(microstate, observe = x => x) {
         let desc = descriptors[propertyName];
         if (typeof propertyName === 'string' && typeof desc.get === 'function') {
           Object.defineProperty(this.prototype, propertyName, {
+            configurable: true,
             get() {
               let value = desc.get.call(this);
               Object.defineProperty(this, propertyName, { value });
@@ -70,6 +272,10 @@ export default function Identity(microstate, observe = x => x) {
         }
       })
 
+      memoize(this, T);
+
+      validation(this, T, parentOfId);
+
       Hash.instance(this, {
         digest(id) {
           return [id.state];
@@ -77,13 +283,46 @@ export default function Identity(microstate, observe = x => x) {
       })
     }
 
-    constructor(value, path) {
+    constructor(value, path, microstate) {
       super();
       this.state = value;
       Object.defineProperty(this, info, {
         configurable: true,
         value: path
       });
+      Object.defineProperty(this, source, {
+        value: microstate
+      });
+    }
+
+    toJSON() {
+      return this.state;
+    }
+
+    [transaction](fn) {
+      let initial = current;
+      let outermost = !batching;
+      if (outermost) {
+        transitions = [];
+      }
+      let savepoint = transitions.length;
+      batching = true;
+      try {
+        fn(this);
+      } catch (error) {
+        current = initial;
+        transitions.splice(savepoint);
+        throw error;
+      } finally {
+        if (outermost) {
+          batching = false;
+        }
+      }
+      if (outermost && current !== initial) {
+        return tick(current, { path: this[info], name: 'batch', args: [], transitions });
+      } else {
+        return identity;
+      }
     }
 
   })
@@ -91,6 +330,52 @@ export default function Identity(microstate, observe = x => x) {
   return tick(microstate);
 }
 
+// publish the transitions that `fn` invokes on `id` as a single tick
+export function batch(id, fn) {
+  if (id == null || typeof id[transaction] !== 'function') {
+    throw new Error('cannot batch transitions of an object that is not part of an Identity');
+  }
+  return id[transaction](fn);
+}
+
+// the microstate that the identity `id` was built from
+export function sourceOf(id) {
+  return id != null ? id[source] : undefined;
+}
+
+function pathsOf(transition) {
+  if (transition.transitions) {
+    return transition.transitions.map(transition => transition.path);
+  } else {
+    return [transition.path];
+  }
+}
+
 function isMicrostate(object) {
   return object != null && object.constructor.isMicrostateType;
 }
+
+// `static key` is the name of a property of the state, or a function of the state
+function keyOf(object) {
+  let { key } = object.constructor;
+  if (typeof key === 'function') {
+    return key(object.state);
+  } else if (key != null && object.state != null) {
+    return object.state[key];
+  } else {
+    return undefined;
+  }
+}
+
+function index(array) {
+  return foldl((index, key) => {
+    let value = isLazy(array, key) ? undefined : array[key];
+    if (value != null && value[info] != null) {
+      let memberKey = keyOf(value);
+      if (memberKey !== undefined && !index.has(memberKey)) {
+        index.set(memberKey, value);
+      }
+    }
+    return index;
+  }, new Map(), Object.keys(array));
+}
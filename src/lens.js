@@ -76,6 +76,23 @@ export function ValueAt(property) {
   return Lens(get, set);
 }
 
+// set several properties of `context` with a single copy
+export function assign(values, context = {}) {
+  let keys = Object.keys(values).filter(key => values[key] !== context[key]);
+  if (keys.length === 0) {
+    return context;
+  } else if (Array.isArray(context)) {
+    let clone = context.slice();
+    keys.forEach(key => clone[Number(key)] = values[key]);
+    return clone;
+  } else {
+    return Semigroup.for(Object).append(context, foldl((changed, key) => {
+      changed[key] = values[key];
+      return changed;
+    }, {}, keys));
+  }
+}
+
 export function Path(path = []) {
   return foldl((lens, key) => {
     return compose(lens, ValueAt(key))
@@ -0,0 +1,80 @@
+import { isNode, isObject } from './tree';
+
+const caches = new WeakMap();
+
+// the getters in `static memoize` are computed once for every state
+export default function memoize(Class, Type) {
+  let { memoize } = Type;
+  if (memoize == null) {
+    return;
+  }
+  let names = Array.isArray(memoize) ? memoize : Object.keys(memoize);
+  names.forEach(name => {
+    let get = getterOf(Type, name);
+    let dependencies = Array.isArray(memoize) ? undefined : memoize[name];
+    Object.defineProperty(Class.prototype, name, {
+      configurable: true,
+      get() {
+        let key = dependencies ? dependencies.map(dependency => stateOf(this[dependency])) : [this.state];
+        return cached(get, key, () => get.call(this));
+      }
+    });
+  });
+}
+
+function getterOf(Type, name) {
+  for (let prototype = Type.prototype; prototype != null; prototype = Object.getPrototypeOf(prototype)) {
+    let descriptor = Object.getOwnPropertyDescriptor(prototype, name);
+    if (descriptor != null) {
+      if (typeof descriptor.get === 'function') {
+        return descriptor.get;
+      }
+      break;
+    }
+  }
+  throw new Error(`cannot memoize '${name}' of ${Type.name}: it is not a getter`);
+}
+
+function stateOf(substate) {
+  return substate != null ? substate.state : undefined;
+}
+
+// values are cached by the first object in their key, or else only the last one is kept
+export function cached(owner, key, compute) {
+  if (!caches.has(owner)) {
+    caches.set(owner, { objects: new WeakMap(), last: undefined });
+  }
+  let cache = caches.get(owner);
+  let object = key.find(isWeakKey);
+  let entry = object !== undefined ? cache.objects.get(object) : cache.last;
+  if (entry == null || !isSameKey(entry.key, key)) {
+    entry = { key, value: compute() };
+    // substates belong to their own tree, so they are computed every time
+    if (holdsNodes(entry.value)) {
+      return entry.value;
+    } else if (object !== undefined) {
+      cache.objects.set(object, entry);
+    } else {
+      cache.last = entry;
+    }
+  }
+  return entry.value;
+}
+
+function isSameKey(left, right) {
+  return left.length === right.length && left.every((value, i) => value === right[i]);
+}
+
+function holdsNodes(value) {
+  if (isNode(value)) {
+    return true;
+  } else if (Array.isArray(value) || isObject(value)) {
+    return Object.keys(value).some(key => isNode(value[key]));
+  } else {
+    return false;
+  }
+}
+
+function isWeakKey(value) {
+  return value != null && (typeof value === 'object' || typeof value === 'function');
+}
@@ -1,27 +1,102 @@
 import { append, foldl, Semigroup, map, stable } from 'funcadelic';
-import { view, set, over, Lens, ValueAt } from './lens';
+import { view, set, over, Lens, assign } from './lens';
 import Identity from './identity';
+import Subscription from './subscription';
 import { Hash } from './hash';
 import { Assemble, assemble } from './assemble';
 import SymbolObservable from 'symbol-observable';
 import sugar from './sugar';
 import Any from './types/any'
-import { treemap } from './tree';
+import { intercept, suspend } from './middleware';
+import memoize from './memoize';
+import validation, { parentOfMicrostate, validatedSubstate } from './validation';
 
-export function create(InputType = Any, value) {
+export function create(InputType = Any, value, { lazy = false } = {}) {
   let Type = sugar.desugarType(InputType);
   let Microstate = toMicrostateType(Type);
-  let instance = new Microstate();
-  instance.state = value
-  let microstate = assemble(Type, instance, value);
+  return suspend(() => {
+    let instance = new Microstate();
+    instance.state = value
+    if (lazy) {
+      instance = Meta.update(() => ({ lazy }), instance);
+    }
+    let microstate = assemble(Type, instance, value);
+
+    if (Type.prototype.hasOwnProperty('initialize') && typeof microstate.initialize === 'function') {
+      return microstate.initialize(value);
+    } else {
+      return microstate;
+    }
+  });
+}
+
+function transition(microstate, name, args, invoke) {
+  let meta = Meta.get(microstate);
+  let Type = microstate.constructor.Type;
+  let value = intercept({ microstate, path: meta.path, Type, name, args }, invoke);
+
+  if (isPromise(value)) {
+    return defer(microstate, name, args, value);
+  } else {
+    return apply(microstate, value);
+  }
+}
 
-  if (Type.prototype.hasOwnProperty('initialize') && typeof microstate.initialize === 'function') {
-    return microstate.initialize(value);
+// the root microstate with `microstate` transitioned to `value`
+function apply(microstate, value) {
+  let meta = Meta.get(microstate);
+  let next;
+  if (value === microstate.state) {
+    next = microstate;
+  } else if (isMicrostate(value)) {
+    next = value;
   } else {
+    next = create(microstate.constructor, value, { lazy: meta.lazy });
+  }
+  return set(meta.lens, Meta.source(next), meta.context);
+}
+
+const Deferred = Symbol('deferred');
+
+// a promise of the root microstate once an asynchronous transition settles
+function defer(microstate, name, args, promise) {
+  let { path } = Meta.get(microstate);
+  let { optimistic, cancel = false } = (microstate.constructor.Type.async || {})[name] || {};
+  let initial = apply(microstate, optimistic ? optimistic.apply(Meta.source(microstate), args) : microstate.state);
+  let settled = promise.then(value => settle(initial, path, value));
+
+  // rejections are handled by whoever uses the settled promise
+  settled.catch(() => {});
+  return Object.defineProperty(settled, Deferred, {
+    value: { initial, path, promise, cancel }
+  });
+}
+
+export function deferredOf(value) {
+  return value != null ? value[Deferred] : undefined;
+}
+
+// transition the microstate at `path` to the value that a promise resolved to
+export function settle(microstate, path, value) {
+  let lens = SubstatePath(path);
+  let target = view(lens, microstate);
+  if (target == null) {
+    throw new Error(`cannot settle transition: there is no microstate at path [${path.join(', ')}]`);
+  }
+  let next = typeof value === 'function' ? value(target) : value;
+  if (next === undefined || next === target.state) {
     return microstate;
+  } else if (isMicrostate(next)) {
+    return set(lens, Meta.source(next), microstate);
+  } else {
+    return set(lens, create(target.constructor, next, { lazy: Meta.get(target).lazy }), microstate);
   }
 }
 
+function isPromise(value) {
+  return value != null && !isMicrostate(value) && typeof value.then === 'function';
+}
+
 const toMicrostateType = stable(function toMicrostateType(Type) {
   if (Type.isMicrostateType) {
     return Type;
@@ -32,25 +107,17 @@ const toMicrostateType = stable(function toMicrostateType(Type) {
     static isMicrostateType = true;
 
     set(value) {
-      let microstate
-      if (value === this.state) {
-        microstate = this;
-      } else if (isMicrostate(value)) {
-        microstate = value;
-      } else {
-        microstate = create(this.constructor, value);
-      }
-      let meta = Meta.get(this);
-      return set(meta.lens, Meta.source(microstate), meta.context);
+      return transition(this, 'set', [value], ([value]) => value);
+    }
+
+    toJSON() {
+      return this.state;
     }
 
     [SymbolObservable]() { return this['@@observable'](); }
-    ['@@observable']() {
+    ['@@observable'](options) {
       return {
-        subscribe: (observer) => {
-          let next = observer.call ? observer : observer.next.bind(observer);
-          return Identity(this, next);
-        },
+        subscribe: (...observer) => subscribe(this, options, observer),
         [SymbolObservable]() {
           return this;
         }
@@ -79,11 +146,13 @@ const toMicrostateType = stable(function toMicrostateType(Type) {
     methods[name] = function(...args) {
       let method = Type.prototype[name];
       let meta = Meta.get(this);
-      let result = method.apply(meta.source || this, args);
-      return this.set(result);
+      return transition(this, name, args, args => method.apply(meta.source || this, args));
     }
     return methods;
   }, {}, methods))
+
+  memoize(Microstate, Type);
+  validation(Microstate, Type, parentOfMicrostate);
   return Microstate;
 });
 
@@ -91,6 +160,21 @@ export function isMicrostate(value) {
   return value != null && value.constructor.isMicrostateType;
 }
 
+function subscribe(microstate, options = {}, observer) {
+  let subscription = new Subscription(...observer);
+  let error = e => subscription.error(e);
+  Identity(microstate, next => {
+    subscription.next(next);
+    return next;
+  }, Object.assign({}, options, { error }));
+  return subscription;
+}
+
+// observed values are `{ state, previous, transition: { path, name, args }, timestamp }`
+export function events(microstate) {
+  return microstate['@@observable']({ events: true });
+}
+
 export class Meta {
   constructor(attrs = {}) {
     this.path = attrs.path || [];
@@ -115,10 +199,6 @@ export class Meta {
     return over(Meta.lens, meta => append(meta, fn(meta)), object);
   }
 
-  static treemap(fn, object) {
-    return treemap(isMicrostate, x => x, microstate => this.update(fn, microstate), object);
-  }
-
   static lookup(object) {
     return object[Meta.LOOKUP] || new Meta({ context: object });
   }
@@ -134,38 +214,156 @@ export class Meta {
         configurable: true,
         value: meta
       });
-      return clone;
+      return clone[Substates] ? defineSubstates(clone) : clone;
     }
   })
 }
 
 export function SubstateAt(name) {
   let getter = context => {
-    if (context == null || context[name] == null) {
+    if (context == null) {
+      return undefined;
+    } else if (hasSource(context, name)) {
+      return context[Substates][name];
+    } else if (context[name] == null) {
       return undefined;
     } else {
       return Meta.get(context[name]).source;
     }
   }
 
-  let setter = (substate, microstate) => {
-    let current = microstate[name];
-    let { source } = current ? Meta.get(current) : {};
-    if (substate === source) {
-      return microstate;
-    } else {
-      let contextualized = Meta.update(() => ({ source: substate }), substate);
+  let setter = (substate, microstate) => setSubstates({ [name]: substate }, microstate);
+
+  return Lens(getter, setter);
+}
+
+const Substates = Symbol('substates');
+const Creator = Symbol('creator');
+
+function hasSource(microstate, key) {
+  return microstate[Substates] != null && microstate[Substates].hasOwnProperty(key);
+}
+
+// the substate at `key` of `microstate` without its context
+export function sourceAt(microstate, key) {
+  if (hasSource(microstate, key)) {
+    return microstate[Substates][key];
+  }
+  let value = microstate[key];
+  return isMicrostate(value) ? Meta.source(value) : value;
+}
+
+// set several substates of `microstate` with a single copy
+export function setSubstates(substates, microstate) {
+  let changed = keysOf(substates).filter(key => {
+    let current = view(SubstateAt(key), microstate);
+    return current == null || current !== substates[key];
+  });
+  if (changed.length === 0) {
+    return microstate;
+  }
 
-      let whole = append(microstate, {
-        [name]: Meta.treemap(meta => ({ path: [name].concat(meta.path) }), contextualized),
-        state: set(ValueAt(name), substate.state, microstate.state)
+  let { sources, states } = foldl(({ sources, states }, key) => {
+    let substate = validatedSubstate(microstate, key, substates[key]);
+    sources[key] = substate;
+    states[key] = substate.state;
+    return { sources, states };
+  }, { sources: Object.assign({}, microstate[Substates]), states: {} }, changed);
+
+  let meta = Meta.lookup(microstate);
+  let whole = append(microstate, { state: assign(states, microstate.state) });
+  Object.defineProperty(whole, Meta.LOOKUP, {
+    configurable: true,
+    value: append(meta, { get context() { return whole; } })
+  });
+  Object.defineProperty(whole, Substates, { configurable: true, value: sources });
+  return defineSubstates(whole);
+}
+
+// substates are put in the context of `object` when they are first accessed,
+// so that a transition only copies the microstates on its path.
+function defineSubstates(object) {
+  let sources = object[Substates];
+  let keys = object[Creator] ? keysOf(object.state) : Object.keys(sources);
+  if (Array.isArray(object.state)) {
+    keys = keys.map(Number);
+  }
+  keys.forEach(key => {
+    Object.defineProperty(object, key, {
+      configurable: true,
+      enumerable: true,
+      get() {
+        if (!hasSource(this, key)) {
+          this[Substates][key] = this[Creator](this.state[key], { lazy: Meta.get(this).lazy });
+        }
+        let { path, context } = Meta.get(this);
+        let source = this[Substates][key];
+        let value = Meta.update(() => ({ source, path: path.concat(key), context: context || this }), source);
+        Object.defineProperty(this, key, {
+          configurable: true,
+          enumerable: true,
+          writable: true,
+          value
+        });
+        return value;
+      }
+    });
+  });
+  return object;
+}
+
+function keysOf(state) {
+  return Array.isArray(state) ? state.map((member, index) => index) : Object.keys(state);
+}
+
+const Lazy = Symbol('lazy');
+
+// the property `key` of `object` is computed by `fn` when first accessed
+export function defineLazy(object, key, fn) {
+  if (!object[Lazy]) {
+    Object.defineProperty(object, Lazy, { value: true });
+  }
+  Object.defineProperty(object, key, {
+    configurable: true,
+    enumerable: true,
+    get() {
+      let value = fn(this);
+      Object.defineProperty(this, key, {
+        configurable: true,
+        enumerable: true,
+        writable: true,
+        value
       });
-      let next = Meta.treemap(() => ({ get context() { return next; } }), whole);
-      return next;
+      return value;
     }
-  };
+  });
+}
 
-  return Lens(getter, setter);
+// whether the property `key` of `object` has not been computed yet
+export function isLazy(object, key) {
+  if (object == null || !object[Lazy]) {
+    return false;
+  }
+  let descriptor = Object.getOwnPropertyDescriptor(object, key);
+  return descriptor != null && typeof descriptor.get === 'function' && !hasSource(object, key);
+}
+
+// members of microstates created with `{ lazy: true }` are created when first accessed
+export function assembleLazily(microstate, fn) {
+  let { state } = microstate;
+  let whole = setSubstates(foldl((microstates, key) => {
+    if (isMicrostate(state[key])) {
+      microstates[key] = state[key];
+    }
+    return microstates;
+  }, {}, keysOf(state)), microstate);
+
+  if (whole[Substates] == null) {
+    Object.defineProperty(whole, Substates, { configurable: true, value: {} });
+  }
+  Object.defineProperty(whole, Lazy, { value: true });
+  Object.defineProperty(whole, Creator, { value: fn });
+  return defineSubstates(whole);
 }
 
 import { compose, transparent } from './lens';
@@ -177,20 +375,21 @@ export function SubstatePath(path = []) {
 }
 
 
-function desugarProperty(value) {
+function desugarProperty(value, options) {
   if (isMicrostate(value)) {
-    return value;
+    return options.lazy ? Meta.update(() => options, value) : value;
   } else {
     let Type = sugar.desugarType(value);
-    return create(Type, typeof value === 'function' ? undefined : value);
+    return create(Type, typeof value === 'function' ? undefined : value, options);
   }
 }
 
 Assemble.instance(Object, {
   assemble(Type, microstate, value) {
-    return foldl((microstate, { key, value: child }) => {
-      let substate = value != null && value[key] != null ? child.set(value[key]) : child;
-      return set(SubstateAt(key), substate, microstate)
-    }, microstate, map(desugarProperty, new Type()));
+    let { lazy } = Meta.get(microstate);
+    return setSubstates(foldl((substates, { key, value: child }) => {
+      substates[key] = value != null && value[key] != null ? child.set(value[key]) : child;
+      return substates;
+    }, {}, map(property => desugarProperty(property, { lazy }), new Type())), microstate);
   }
 })
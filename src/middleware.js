@@ -0,0 +1,39 @@
+let middleware = [];
+let suspended = 0;
+
+// `fn` receives `{ microstate, path, Type, name, args, next }` of every transition
+export function use(fn) {
+  middleware = middleware.concat(fn);
+  return () => {
+    middleware = middleware.filter(m => m !== fn);
+  };
+}
+
+export function intercept(transition, invoke) {
+  if (suspended > 0 || middleware.length === 0) {
+    return invoke(transition.args);
+  }
+  let chain = middleware;
+  let call = (index, args) => {
+    if (index < chain.length) {
+      return chain[index](Object.assign({}, transition, {
+        args,
+        next: (next = args) => call(index + 1, next)
+      }));
+    } else {
+      return suspend(() => invoke(args));
+    }
+  };
+  return call(0, transition.args);
+}
+
+// transitions invoked while creating microstates, or from within other
+// transitions are not visible to middleware.
+export function suspend(fn) {
+  suspended++;
+  try {
+    return fn();
+  } finally {
+    suspended--;
+  }
+}
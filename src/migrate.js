@@ -0,0 +1,96 @@
+import { foldl } from 'funcadelic';
+import { isMicrostate, isLazy } from './microstates';
+import { sourceOf } from './identity';
+import { set, ValueAt } from './lens';
+import sugar from './sugar';
+import { isNode, isSamePath } from './tree';
+
+// the fields that types declare, by type
+const declared = new WeakMap();
+
+// a numeric `from` is the version of the root only, the rest is left as it is
+export function migrate(Type, value, from) {
+  let versionAt;
+  if (from == null) {
+    versionAt = () => 1;
+  } else if (typeof from === 'number') {
+    versionAt = (path, Type) => path.length === 0 ? from : Type.version || 1;
+  } else {
+    versionAt = path => {
+      let found = from.find(entry => isSamePath(entry.path, path));
+      return found ? found.version : 1;
+    };
+  }
+  return migrateAt(sugar.desugarType(Type), value, versionAt, []);
+}
+
+// the versions of every node of a microstate whose type declares one
+export function versions(node, path = []) {
+  let microstate = sourceOf(node) || node;
+  let { Type } = microstate.constructor;
+  let version = Type.version != null ? [{ path, version: Type.version }] : [];
+  return Object.keys(microstate).reduce((all, key) => {
+    if (isLazy(microstate, key)) {
+      return all.concat(versionsOf(Type.T, microstate.state[key], path.concat(key)));
+    }
+    let child = microstate[key];
+    return key !== 'state' && isNode(child) ? all.concat(versions(child, path.concat(key))) : all;
+  }, version);
+}
+
+// the versions of the nodes that `value` would create as a `Type`
+function versionsOf(Type, value, path) {
+  let version = Type.version != null ? [{ path, version: Type.version }] : [];
+  if (value == null || typeof value !== 'object') {
+    return version;
+  }
+  let Shape = typeof Type.typeOf === 'function' ? Type.typeOf(value) : Type;
+  return fields(Shape, value).reduce((all, { key, Type }) => {
+    return value[key] == null ? all : all.concat(versionsOf(Type, value[key], path.concat(key)));
+  }, version);
+}
+
+function migrateAt(Type, value, versionAt, path) {
+  let migrated = upgrade(Type, value, versionAt(path, Type));
+  if (migrated == null || typeof migrated !== 'object') {
+    return migrated;
+  }
+  // types that shift to other types by their state have the fields of those
+  let Shape = typeof Type.typeOf === 'function' ? Type.typeOf(migrated) : Type;
+  return foldl((migrated, { key, Type }) => {
+    if (migrated[key] == null) {
+      return migrated;
+    } else {
+      return set(ValueAt(key), migrateAt(Type, migrated[key], versionAt, path.concat(key)), migrated);
+    }
+  }, migrated, fields(Shape, migrated));
+}
+
+function upgrade(Type, value, from) {
+  let { version = 1, migrations = {} } = Type;
+  if (from > version) {
+    throw new Error(`cannot migrate ${Type.name} from version ${from}: its current version is ${version}`);
+  }
+  let migrated = value;
+  for (let next = from + 1; next <= version; next++) {
+    if (migrations[next]) {
+      migrated = migrations[next](migrated);
+    }
+  }
+  return migrated;
+}
+
+function fields(Type, value) {
+  if (Type.isCollection) {
+    return Object.keys(value).map(key => ({ key, Type: Type.T }));
+  } else {
+    if (!declared.has(Type)) {
+      let instance = new Type();
+      declared.set(Type, Object.keys(instance).map(key => {
+        let field = instance[key];
+        return { key, Type: isMicrostate(field) ? field.constructor.Type : sugar.desugarType(field) };
+      }));
+    }
+    return declared.get(Type);
+  }
+}
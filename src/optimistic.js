@@ -0,0 +1,215 @@
+import { batch, sourceOf } from './identity';
+import { replay } from './replay';
+import { SubstatePath } from './microstates';
+import { view, Path } from './lens';
+
+const pending = new WeakMap();
+
+// transitions of `fn` are applied right away, and rolled back if `promise` rejects
+export default function optimistic(store, fn, promise) {
+  let updates = pendingOf(store);
+  let before = sourceOf(store.state);
+  let change;
+  let stop = store.listen(transition => change = transition);
+  try {
+    batch(store.state, fn);
+  } finally {
+    stop();
+  }
+  if (change === undefined) {
+    return promise;
+  }
+
+  let update = { before, change, log: [] };
+  updates.list.push(update);
+  return promise.then(value => {
+    updates.list = updates.list.filter(other => other !== update);
+    return value;
+  }, error => {
+    rollback(store, update);
+    throw error;
+  });
+}
+
+// the unsettled updates of a store, and the transitions since each one
+function pendingOf(store) {
+  if (!pending.has(store)) {
+    let updates = { list: [], muted: false };
+    store.listen(transition => {
+      if (!updates.muted) {
+        updates.list.forEach(update => update.log.push(transition));
+      }
+    });
+    pending.set(store, updates);
+  }
+  return pending.get(store);
+}
+
+function rollback(store, update) {
+  let updates = pending.get(store);
+  updates.list = updates.list.filter(other => other !== update);
+
+  let { state, steps } = rebase(update.before, update.change, update.log);
+  let translated = new Map(steps.map(step => [step.transition, step.translated]));
+
+  // other updates continue from the history without the rolled back one
+  updates.list.forEach(other => {
+    let index = update.log.indexOf(other.change);
+    if (index >= 0) {
+      other.before = steps[index].before;
+      other.change = steps[index].translated;
+    }
+    other.log = other.log
+      .filter(transition => transition !== update.change)
+      .map(transition => translated.has(transition) ? translated.get(transition) : transition)
+      .filter(transition => transition != null);
+  });
+
+  updates.muted = true;
+  try {
+    store.state.set(state);
+  } finally {
+    updates.muted = false;
+  }
+}
+
+// Replay `log` on `microstate` without `change`. The transitions were
+// recorded with the paths that they had after `change`, so array members
+// are followed to their index without it by the states that they came
+// from. Transitions of members that only exist because of `change` are
+// dropped.
+function rebase(microstate, change, log) {
+  let lineage = new WeakMap();
+  let originOf = state => lineage.get(state) || state;
+
+  function inherit(previous, next, path) {
+    let source = previous.state;
+    let target = next.state;
+    link(source, target);
+    for (let i = 0; i < path.length && source != null && target != null; i++) {
+      source = source[path[i]];
+      target = target[path[i]];
+      link(source, target);
+    }
+  }
+
+  function link(previous, next) {
+    if (isReference(previous) && isReference(next) && previous !== next) {
+      lineage.set(next, originOf(previous));
+    }
+  }
+
+  function translate(path, from, to) {
+    let translated = [];
+    let source = from.state;
+    let target = to.state;
+    for (let i = 0; i < path.length; i++) {
+      let key = path[i];
+      if (source == null || target == null) {
+        return undefined;
+      }
+      let index = key;
+      if (Array.isArray(source) && Array.isArray(target)) {
+        let member = source[key];
+        index = isReference(member) ? target.findIndex(other => isReference(other) && originOf(other) === originOf(member)) : Number(key);
+        if (index < 0 || index >= target.length) {
+          return undefined;
+        }
+        index = typeof key === 'string' ? String(index) : index;
+      }
+      translated.push(index);
+      source = source[key];
+      target = target[index];
+    }
+    return view(SubstatePath(translated), to) != null ? translated : undefined;
+  }
+
+  // members that a transition creates are the same on both sides
+  function pair(before, after, beforeTarget, afterTarget) {
+    let created = fresh(before, after);
+    fresh(beforeTarget, afterTarget).forEach((state, i) => {
+      if (i < created.length) {
+        lineage.set(state, originOf(created[i]));
+      }
+    });
+  }
+
+  let from = flatten(change ? [change] : []).reduce((from, transition) => {
+    let next = replay(from, [transition]);
+    inherit(from, next, transition.path);
+    return next;
+  }, microstate);
+
+  let to = microstate;
+  let steps = log.map(transition => {
+    let before = to;
+    let transitions = flatten([transition]).reduce((transitions, transition) => {
+      let path = translate(transition.path, from, to);
+      let next = replay(from, [transition]);
+      inherit(from, next, transition.path);
+      if (path !== undefined) {
+        let translated = Object.assign({}, transition, { path });
+        let target = replay(to, [translated]);
+        inherit(to, target, path);
+        pair(stateAt(from, transition.path), stateAt(next, transition.path), stateAt(to, path), stateAt(target, path));
+        transitions = transitions.concat(translated);
+        to = target;
+      }
+      from = next;
+      return transitions;
+    }, []);
+    return { transition, before, translated: translatedOf(transition, transitions) };
+  });
+  return { state: to, steps };
+}
+
+function translatedOf(transition, transitions) {
+  if (transitions.length === 0) {
+    return null;
+  } else if (transition.transitions) {
+    return Object.assign({}, transition, { transitions });
+  } else {
+    return transitions[0];
+  }
+}
+
+// the objects in `after` that are not in `before`, in order
+function fresh(before, after) {
+  let existing = new WeakSet();
+  let collect = value => {
+    if (isReference(value) && !existing.has(value)) {
+      existing.add(value);
+      Object.keys(value).forEach(key => collect(value[key]));
+    }
+  };
+  collect(before);
+
+  let created = [];
+  let visit = value => {
+    Object.keys(value).forEach(key => {
+      let child = value[key];
+      if (isReference(child) && !existing.has(child)) {
+        created.push(child);
+        visit(child);
+      }
+    });
+  };
+  if (isReference(after)) {
+    visit(after);
+  }
+  return created;
+}
+
+function stateAt(microstate, path) {
+  return view(Path(path), microstate.state);
+}
+
+function isReference(value) {
+  return value != null && typeof value === 'object';
+}
+
+function flatten(transitions) {
+  return transitions.reduce((all, transition) => {
+    return all.concat(transition.transitions ? flatten(transition.transitions) : [transition]);
+  }, []);
+}
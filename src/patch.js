@@ -0,0 +1,149 @@
+import { foldl } from 'funcadelic';
+import { SubstatePath } from './microstates';
+import { changes } from './changes';
+import { view, over, set, Path } from './lens';
+import { isObject } from './tree';
+
+// the JSON Patch (RFC 6902) operations from the state of `previous` to the state of `next`
+export function diff(previous, next) {
+  return changes(previous, next).map(path => {
+    let container = path.slice(0, -1);
+    let key = path[path.length - 1];
+    let before = view(Path(container), previous.state);
+    let after = view(Path(container), next.state);
+    if (path.length > 0 && !has(before, key)) {
+      return { op: 'add', path: pointer(path), value: after[key] };
+    } else if (path.length > 0 && !has(after, key)) {
+      return { op: 'remove', path: pointer(path) };
+    } else {
+      return { op: 'replace', path: pointer(path), value: view(Path(path), next.state) };
+    }
+  });
+}
+
+// every operation is a `set` of the deepest microstate that contains it
+export function applyPatch(microstate, operations) {
+  return foldl((microstate, operation) => {
+    let path = parse(operation.path);
+    switch (operation.op) {
+    case 'add':
+      return update(microstate, path, true, (container, key) => add(container, key, operation.value), operation);
+    case 'remove':
+      return update(microstate, path, true, remove, operation);
+    case 'replace':
+      valueAt(microstate, path, operation);
+      return update(microstate, path, false, (container, key) => replace(container, key, operation.value), operation);
+    case 'move': {
+      let value = valueAt(microstate, parse(operation.from), operation);
+      let removed = update(microstate, parse(operation.from), true, remove, operation);
+      return update(removed, path, true, (container, key) => add(container, key, value), operation);
+    }
+    case 'copy': {
+      let value = valueAt(microstate, parse(operation.from), operation);
+      return update(microstate, path, true, (container, key) => add(container, key, value), operation);
+    }
+    case 'test':
+      if (!isEqual(valueAt(microstate, path, operation), operation.value)) {
+        throw new Error(`cannot apply 'test' operation: the value at '${operation.path}' is not ${JSON.stringify(operation.value)}`);
+      }
+      return microstate;
+    default:
+      throw new Error(`cannot apply '${operation.op}' operation: it is not a JSON Patch operation`);
+    }
+  }, microstate, operations);
+}
+
+// with `parent`, the operation is applied to the container of the path
+function update(microstate, path, parent, fn, operation) {
+  if (path.length === 0) {
+    if (parent) {
+      throw new Error(`cannot apply '${operation.op}' operation to the root`);
+    }
+    return microstate.set(operation.value);
+  }
+  let searchable = parent ? path.slice(0, -1) : path;
+  let depth = 0;
+  let node = microstate;
+  while (depth < searchable.length && view(SubstatePath([searchable[depth]]), node) != null) {
+    node = view(SubstatePath([searchable[depth]]), node);
+    depth++;
+  }
+  let prefix = path.slice(0, depth);
+  let rest = path.slice(depth);
+  if (rest.length === 0) {
+    return over(SubstatePath(prefix), substate => substate.set(operation.value), microstate);
+  }
+  let container = rest.slice(0, -1);
+  let key = rest[rest.length - 1];
+  if (view(Path(container), node.state) == null) {
+    throw new Error(`cannot apply '${operation.op}' operation: there is no value at '${operation.path}'`);
+  }
+  let state = over(Path(container), value => fn(value, key, operation), node.state);
+  return over(SubstatePath(prefix), substate => substate.set(state), microstate);
+}
+
+function add(container, key, value) {
+  if (Array.isArray(container)) {
+    let index = key === '-' ? container.length : Number(key);
+    return [...container.slice(0, index), value, ...container.slice(index)];
+  } else {
+    return set(Path([key]), value, container);
+  }
+}
+
+function remove(container, key, operation) {
+  if (!container.hasOwnProperty(key)) {
+    throw new Error(`cannot apply '${operation.op}' operation: there is no value at '${operation.path || operation.from}'`);
+  }
+  if (Array.isArray(container)) {
+    let index = Number(key);
+    return [...container.slice(0, index), ...container.slice(index + 1)];
+  } else {
+    return Object.keys(container).reduce((rest, name) => {
+      if (name !== key) {
+        rest[name] = container[name];
+      }
+      return rest;
+    }, {});
+  }
+}
+
+function replace(container, key, value) {
+  return set(Path([key]), value, container);
+}
+
+function valueAt(microstate, path, operation) {
+  let value = view(Path(path), microstate.state);
+  if (value === undefined) {
+    throw new Error(`cannot apply '${operation.op}' operation: there is no value at '${operation.from || operation.path}'`);
+  }
+  return value;
+}
+
+function pointer(path) {
+  return path.map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+function parse(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+  return pointer.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function has(container, key) {
+  return container != null && typeof container === 'object' && Object.prototype.hasOwnProperty.call(container, key);
+}
+
+function isEqual(left, right) {
+  if (left === right) {
+    return true;
+  } else if (Array.isArray(left) && Array.isArray(right)) {
+    return left.length === right.length && left.every((value, i) => isEqual(value, right[i]));
+  } else if (isObject(left) && isObject(right)) {
+    let keys = Object.keys(left);
+    return keys.length === Object.keys(right).length && keys.every(key => right.hasOwnProperty(key) && isEqual(left[key], right[key]));
+  } else {
+    return false;
+  }
+}
@@ -0,0 +1,49 @@
+import { serialize, deserialize } from './serialize';
+import MemoryStorage from './storage/memory';
+
+// save the state of `store` to `storage` whenever it changes, and restore it first
+export default function persist(store, { key, storage = new MemoryStorage(), debounce = 0, types } = {}) {
+  if (key == null) {
+    throw new Error('cannot persist a store without a key');
+  }
+
+  let saved = storage.getItem(key);
+  if (saved != null) {
+    let current = store.getState();
+    current.set(deserialize(current.constructor.Type, saved, { types }));
+  }
+
+  let timeout;
+  let pending;
+
+  function write() {
+    clearTimeout(timeout);
+    timeout = undefined;
+    if (pending !== undefined) {
+      storage.setItem(key, JSON.stringify(serialize(pending, { types })));
+      pending = undefined;
+    }
+  }
+
+  let initialized = false;
+  let subscription = store.subscribe(next => {
+    if (initialized) {
+      pending = next;
+      if (debounce > 0) {
+        clearTimeout(timeout);
+        timeout = setTimeout(write, debounce);
+      } else {
+        write();
+      }
+    }
+    initialized = true;
+  });
+
+  return {
+    flush: write,
+    unsubscribe() {
+      subscription.unsubscribe();
+      write();
+    }
+  };
+}
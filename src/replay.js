@@ -0,0 +1,62 @@
+import SymbolObservable from 'symbol-observable';
+import { foldl } from 'funcadelic';
+import { isMicrostate, SubstatePath } from './microstates';
+import { view, over } from './lens';
+import Subscription from './subscription';
+
+// observe `microstate` while logging its transitions as `{ path, name, args }`
+export function record(microstate) {
+  let log = [];
+  return {
+    log,
+    subscribe(...observer) {
+      let subscription = new Subscription(...observer);
+      // arguments are checked before the transition is applied
+      let check = ({ name, args }) => args.forEach(arg => serialize(arg, name));
+      return microstate['@@observable']({ events: true, check }).subscribe({
+        next({ state, transition }) {
+          if (transition) {
+            log.push(...entries(transition));
+          }
+          subscription.next(state);
+        },
+        error: e => subscription.error(e),
+        complete: () => subscription.complete()
+      });
+    },
+    [SymbolObservable]() {
+      return this;
+    }
+  };
+}
+
+export function replay(microstate, log) {
+  return foldl((microstate, { path, name, args }) => {
+    let substate = foldl((substate, key) => substate != null ? view(SubstatePath([key]), substate) : substate, microstate, path);
+    if (substate == null) {
+      throw new Error(`cannot replay '${name}' transition: there is no microstate at path [${path.join(', ')}]`);
+    }
+    if (name === 'constructor' || typeof substate[name] !== 'function') {
+      throw new Error(`cannot replay '${name}' transition: ${substate.constructor.name} at path [${path.join(', ')}] has no such transition`);
+    }
+    return over(SubstatePath(path), substate => substate[name](...args), microstate);
+  }, microstate, log);
+}
+
+function entries({ path, name, args, transitions }) {
+  if (transitions) {
+    return transitions.reduce((all, transition) => all.concat(entries(transition)), []);
+  } else {
+    return [{ path: path.map(String), name, args: args.map(arg => serialize(arg, name)) }];
+  }
+}
+
+function serialize(arg, name) {
+  if (typeof arg === 'function') {
+    throw new Error(`cannot record '${name}' transition: its arguments cannot be serialized`);
+  } else if (arg === undefined) {
+    return arg;
+  } else {
+    return JSON.parse(JSON.stringify(arg, (key, value) => isMicrostate(value) ? value.state : value));
+  }
+}
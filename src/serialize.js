@@ -0,0 +1,52 @@
+import { foldl } from 'funcadelic';
+import { create, SubstatePath, isLazy } from './microstates';
+import { sourceOf } from './identity';
+import { migrate, versions } from './migrate';
+import { view, set } from './lens';
+import { isNode } from './tree';
+
+// `types` tags the nodes of registered types so that their shifts survive
+export function serialize(microstate, { types } = {}) {
+  let serialized = { state: microstate.state };
+  if (types != null) {
+    let names = new Map(Object.keys(types).map(name => [types[name], name]));
+    serialized.types = tags(microstate, names);
+  }
+  let versioned = versions(microstate);
+  if (versioned.length > 0) {
+    serialized.versions = versioned;
+  }
+  return serialized;
+}
+
+export function deserialize(Type, json, { types = {} } = {}) {
+  let { state: serialized, types: tagged = [], versions = [] } = typeof json === 'string' ? JSON.parse(json) : json;
+  let state = migrate(Type, serialized, versions);
+  let shallowFirst = tagged.slice().sort((a, b) => a.path.length - b.path.length);
+  return foldl((microstate, { path, type }) => {
+    let TaggedType = types[type];
+    if (TaggedType == null) {
+      throw new Error(`cannot deserialize type '${type}' at path [${path.join(', ')}]: it is not in the registry`);
+    }
+    let node = foldl((node, key) => node != null ? view(SubstatePath([key]), node) : node, microstate, path);
+    if (node == null || node.constructor.Type === TaggedType) {
+      return microstate;
+    } else {
+      return set(SubstatePath(path), create(TaggedType, node.state), microstate);
+    }
+  }, create(Type, state), shallowFirst);
+}
+
+// members of lazy microstates that were not created yet have the types
+// that their state creates, so they need no tags
+function tags(node, names, path = []) {
+  let microstate = sourceOf(node) || node;
+  let tag = names.has(microstate.constructor.Type) ? [{ path, type: names.get(microstate.constructor.Type) }] : [];
+  return Object.keys(microstate).reduce((all, key) => {
+    if (isLazy(microstate, key)) {
+      return all;
+    }
+    let child = microstate[key];
+    return key !== 'state' && isNode(child) ? all.concat(tags(child, names, path.concat(key))) : all;
+  }, tag);
+}
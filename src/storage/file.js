@@ -0,0 +1,38 @@
+import fs from 'fs';
+import { join } from 'path';
+
+// not part of the main entry point, so that browser bundles do not depend on `fs`
+export default class FileStorage {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  file(key) {
+    return join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  getItem(key) {
+    try {
+      return fs.readFileSync(this.file(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  setItem(key, value) {
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory);
+    }
+    fs.writeFileSync(this.file(key), String(value));
+  }
+
+  removeItem(key) {
+    if (fs.existsSync(this.file(key))) {
+      fs.unlinkSync(this.file(key));
+    }
+  }
+}
@@ -0,0 +1,17 @@
+export default class MemoryStorage {
+  constructor(items = {}) {
+    this.items = new Map(Object.keys(items).map(key => [key, String(items[key])]));
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
@@ -0,0 +1,21 @@
+// persist into `localStorage`, or another Web Storage object
+export default class WebStorage {
+  constructor(storage = typeof localStorage !== 'undefined' ? localStorage : undefined) {
+    if (storage == null) {
+      throw new Error('cannot create WebStorage: there is no localStorage in this environment');
+    }
+    this.storage = storage;
+  }
+
+  getItem(key) {
+    return this.storage.getItem(key);
+  }
+
+  setItem(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  removeItem(key) {
+    this.storage.removeItem(key);
+  }
+}
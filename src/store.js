@@ -0,0 +1,96 @@
+import SymbolObservable from 'symbol-observable';
+import Identity from './identity';
+import Subscription from './subscription';
+import { equals } from './hash';
+import { view, Path } from './lens';
+
+// a single identity of a microstate that is shared by all of its subscribers
+export class Store {
+  constructor(microstate) {
+    this.subscriptions = [];
+    this.listeners = [];
+    this.errorListeners = [];
+    Identity(microstate, ({ state, transition }) => {
+      this.state = state;
+      if (transition) {
+        this.listeners.forEach(listener => listener(transition));
+      }
+      this.notify();
+      return state;
+    }, { events: true, rejected: error => this.reject(error) });
+  }
+
+  // rejections do not end the subscriptions, so they go to `onError` listeners
+  reject(error) {
+    if (this.errorListeners.length === 0) {
+      throw error;
+    }
+    this.errorListeners.forEach(listener => listener(error));
+  }
+
+  // `fn` receives every transition before the subscribers receive its state
+  listen(fn) {
+    this.listeners = this.listeners.concat(fn);
+    return () => {
+      this.listeners = this.listeners.filter(listener => listener !== fn);
+    };
+  }
+
+  onError(fn) {
+    this.errorListeners = this.errorListeners.concat(fn);
+    return () => {
+      this.errorListeners = this.errorListeners.filter(listener => listener !== fn);
+    };
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  subscribe(...observer) {
+    let subscription = new Subscription(...observer);
+    this.subscriptions.push(subscription);
+    subscription.next(this.state);
+    return subscription;
+  }
+
+  notify() {
+    this.subscriptions = this.subscriptions.filter(subscription => !subscription.closed);
+    this.subscriptions.forEach(subscription => subscription.next(this.state));
+  }
+
+  [SymbolObservable]() {
+    return this;
+  }
+}
+
+export default function store(microstate) {
+  return new Store(microstate);
+}
+
+// the observer only receives the state at `path` when its digest changes
+export function subscribe(store, path, ...observer) {
+  let subscription = new Subscription(...observer);
+  let initialized = false;
+  let last;
+  return store.subscribe({
+    next(state) {
+      let next = view(Path(path), state);
+      if (!initialized || isChanged(last, next)) {
+        initialized = true;
+        last = next;
+        subscription.next(next);
+      }
+    },
+    error: e => subscription.error(e),
+    complete: () => subscription.complete()
+  });
+}
+
+function isChanged(last, next) {
+  if (last == null || next == null || last.constructor.Type == null || next.constructor.Type == null) {
+    return last !== next;
+  } else {
+    return !equals(last, next);
+  }
+}
@@ -0,0 +1,65 @@
+import SymbolObservable from 'symbol-observable';
+
+const SymbolAsyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+// consume an observable with `for await`, buffering up to `buffer` states
+export default function stream(source, { buffer = Infinity } = {}) {
+  let queue = [];
+  let waiting = [];
+  let done = false;
+  let failure;
+  let failed = false;
+
+  function close() {
+    done = true;
+    waiting.forEach(({ resolve }) => resolve({ value: undefined, done: true }));
+    waiting = [];
+  }
+
+  let subscription = source[SymbolObservable]().subscribe({
+    next(value) {
+      if (waiting.length > 0) {
+        waiting.shift().resolve({ value, done: false });
+      } else {
+        queue.push(value);
+        if (queue.length > buffer) {
+          queue.shift();
+        }
+      }
+    },
+    error(error) {
+      failed = true;
+      failure = error;
+      waiting.forEach(({ reject }) => reject(error));
+      waiting = [];
+    },
+    complete: close
+  });
+
+  return {
+    next() {
+      if (queue.length > 0) {
+        return Promise.resolve({ value: queue.shift(), done: false });
+      } else if (failed) {
+        failed = false;
+        done = true;
+        return Promise.reject(failure);
+      } else if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      } else {
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+      }
+    },
+
+    return(value) {
+      subscription.unsubscribe();
+      queue = [];
+      close();
+      return Promise.resolve({ value, done: true });
+    },
+
+    [SymbolAsyncIterator]() {
+      return this;
+    }
+  };
+}
@@ -0,0 +1,44 @@
+// observers are objects with `next`, `error` and `complete`, or those functions
+export default class Subscription {
+  constructor(observer = {}, error, complete) {
+    if (typeof observer === 'function') {
+      observer = { next: observer, error, complete };
+    }
+    this.observer = observer;
+    this.closed = false;
+    if (typeof observer.start === 'function') {
+      observer.start(this);
+    }
+  }
+
+  next(value) {
+    if (!this.closed && typeof this.observer.next === 'function') {
+      this.observer.next(value);
+    }
+  }
+
+  error(error) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    if (typeof this.observer.error === 'function') {
+      this.observer.error(error);
+    } else {
+      throw error;
+    }
+  }
+
+  complete() {
+    if (!this.closed) {
+      this.closed = true;
+      if (typeof this.observer.complete === 'function') {
+        this.observer.complete();
+      }
+    }
+  }
+
+  unsubscribe() {
+    this.closed = true;
+  }
+}
@@ -1,12 +1,30 @@
 import { foldl } from 'funcadelic';
-import { over, ValueAt } from './lens';
+import { assign } from './lens';
 
 export function treemap(visit, childrenOf, transform, object, path = []) {
   if (object != null && visit(object)) {
-    return foldl((result, { key, value }) => {
-      return over(ValueAt(key), () => treemap(visit, childrenOf, transform, value, path.concat(key)), result);
-    }, transform(object, path), childrenOf(object));
+    let result = transform(object, path);
+    let children = foldl((children, { key, value }) => {
+      let child = treemap(visit, childrenOf, transform, value, path.concat(key));
+      if (child !== result[key]) {
+        children[key] = child;
+      }
+      return children;
+    }, {}, childrenOf(object));
+    return assign(children, result);
   } else {
     return object;
   }
 }
+
+export function isNode(object) {
+  return object != null && object.constructor != null && object.constructor.Type != null;
+}
+
+export function isSamePath(left = [], right = []) {
+  return left.length === right.length && left.every((key, i) => String(key) === String(right[i]));
+}
+
+export function isObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -4,8 +4,11 @@ import ArrayType from './types/array';
 import BooleanType from './types/boolean';
 import NumberType from './types/number';
 import StringType from './types/string';
+import Field from './types/field';
+import Form from './types/form';
+import Resource from './types/resource';
 
-export { ObjectType, ArrayType, BooleanType, NumberType, StringType };
+export { ObjectType, ArrayType, BooleanType, NumberType, StringType, Field, Form, Resource };
 
 import sugar from './sugar';
 
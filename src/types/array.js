@@ -1,11 +1,40 @@
 import { Assemble } from '../assemble';
-import { create, SubstateAt, Meta } from "../microstates";
-import { set } from "../lens";
+import { create, setSubstates, assembleLazily, sourceAt, Meta } from "../microstates";
 import { Reducible } from '../../src/query';
 import { Filterable } from 'funcadelic';
 import parameterized from '../parameterized';
 
+// members that are only being moved around keep their source microstates
+function members(array) {
+  return array.state.map((item, index) => sourceAt(array, index));
+}
+
+function splice(array, start, deleteCount, items) {
+  let spliced = members(array);
+  spliced.splice(start, deleteCount, ...items);
+  return unlessSame(array, spliced);
+}
+
+// arrays with the same members are left as they are
+function unlessSame(array, next) {
+  let same = next.length === array.state.length && next.every((member, index) => member === sourceAt(array, index));
+  return same ? array.state : next;
+}
+
+function isInRange(array, index) {
+  return index >= -array.length && index < array.length;
+}
+
+function compareStates(left, right) {
+  let a = String(left.state);
+  let b = String(right.state);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
 export default parameterized(T => class ArrayType {
+  static T = T;
+  static isCollection = true;
+
   static get name() {
     return `Array<${T.name}>`;
   }
@@ -14,6 +43,10 @@ export default parameterized(T => class ArrayType {
     return [...this.state, value];
   }
 
+  pop() {
+    return members(this).slice(0, -1);
+  }
+
   shift() {
     let [, ...rest] = this.state;
     return rest;
@@ -25,19 +58,60 @@ export default parameterized(T => class ArrayType {
 
   filter(fn) {
     return this.state.reduce((filtered, item, index) => {
-      let substate = Meta.source(this[index]);
+      let substate = sourceAt(this, index);
       return fn(substate) ? filtered.concat(substate) : filtered;
     }, []);
   }
 
   map(fn) {
-    return this.state.map((item, index) => fn(Meta.source(this[index])));
+    return this.state.map((item, index) => fn(sourceAt(this, index)));
   }
 
   clear() {
     return [];
   }
 
+  splice(start, deleteCount = this.state.length, ...items) {
+    return splice(this, start, deleteCount, items);
+  }
+
+  insertAt(index, value) {
+    return splice(this, index, 0, [value]);
+  }
+
+  remove(index) {
+    return splice(this, index, 1, []);
+  }
+
+  replace(index, value) {
+    if (!isInRange(this.state, index)) {
+      return this.state;
+    }
+    return splice(this, index, 1, [value]);
+  }
+
+  move(from, to) {
+    if (!isInRange(this.state, from)) {
+      return this.state;
+    }
+    let array = members(this);
+    let [ member ] = array.splice(from, 1);
+    array.splice(to, 0, member);
+    return unlessSame(this, array);
+  }
+
+  slice(begin, end) {
+    return unlessSame(this, members(this).slice(begin, end));
+  }
+
+  reverse() {
+    return unlessSame(this, members(this).reverse());
+  }
+
+  sort(compare = compareStates) {
+    return unlessSame(this, members(this).sort(compare));
+  }
+
   static initialize() {
     Assemble.instance(this, {
       assemble(Type, microstate, value) {
@@ -47,9 +121,10 @@ export default parameterized(T => class ArrayType {
         else if (!Array.isArray(value)) {
           microstate.state = [value];
         }
-        return microstate.state.reduce((microstate, member, index) => {
-          return set(SubstateAt(index), create(T).set(member), microstate);
-        }, microstate);
+        if (Meta.get(microstate).lazy) {
+          return assembleLazily(microstate, (member, options) => create(T, undefined, options).set(member));
+        }
+        return setSubstates(microstate.state.map(member => create(T).set(member)), microstate);
       }
     });
 
@@ -0,0 +1,57 @@
+import parameterized from '../parameterized';
+
+// a form field with a `value` of type `T` that remembers its `initial` value
+export default parameterized(T => class Field {
+  static T = T;
+  static isField = true;
+
+  static get name() {
+    return `Field<${T.name}>`;
+  }
+
+  // the validators of a field validate its value
+  static validatedValue(state) {
+    return state != null ? state.value : undefined;
+  }
+
+  value = T;
+  initial = T;
+  touched = Boolean;
+  focused = Boolean;
+
+  get dirty() {
+    return this.state.value !== this.state.initial;
+  }
+
+  get pristine() {
+    return !this.dirty;
+  }
+
+  initialize(value) {
+    if (value == null || value.initial === undefined) {
+      return this.initial.set(this.state.value);
+    } else {
+      return this;
+    }
+  }
+
+  focus() {
+    return this.focused.set(true);
+  }
+
+  blur() {
+    return this.focused.set(false).touched.set(true);
+  }
+
+  reset() {
+    return this.value.set(this.state.initial).touched.set(false);
+  }
+
+  commit() {
+    return this.initial.set(this.state.value);
+  }
+});
+
+export function isField(microstate) {
+  return microstate != null && microstate.constructor.Type != null && microstate.constructor.Type.isField === true;
+}
@@ -0,0 +1,42 @@
+import { foldl } from 'funcadelic';
+import { isField } from './field';
+
+// a form aggregates the fields and nested forms that are its substates
+export default class Form {
+  static isForm = true;
+
+  get values() {
+    return foldl((values, name) => {
+      values[name] = isField(this[name]) ? this[name].state.value : this[name].values;
+      return values;
+    }, {}, fieldsOf(this));
+  }
+
+  get dirty() {
+    return fieldsOf(this).some(name => this[name].dirty);
+  }
+
+  get pristine() {
+    return !this.dirty;
+  }
+
+  get touched() {
+    return fieldsOf(this).some(name => isField(this[name]) ? this[name].state.touched : this[name].touched);
+  }
+
+  reset() {
+    return foldl((form, name) => form[name].reset(), this, fieldsOf(this));
+  }
+
+  commit() {
+    return foldl((form, name) => form[name].commit(), this, fieldsOf(this));
+  }
+}
+
+function fieldsOf(form) {
+  return Object.keys(form).filter(name => isField(form[name]) || isForm(form[name]));
+}
+
+function isForm(microstate) {
+  return microstate != null && microstate.constructor.Type != null && microstate.constructor.Type.isForm === true;
+}
@@ -1,11 +1,11 @@
 import { Assemble } from '../assemble';
-import { SubstateAt, create } from '../microstates';
-import { over } from '../lens';
-import { append, filter, foldl } from 'funcadelic';
+import { setSubstates, assembleLazily, create, Meta } from '../microstates';
+import { append, filter, map } from 'funcadelic';
 import parameterized from '../parameterized'
 
 export default parameterized(T => class ObjectType {
   static T = T;
+  static isCollection = true;
 
   static get name() {
     return `Object<${T.name}>`;
@@ -17,9 +17,10 @@ export default parameterized(T => class ObjectType {
         if (value == null) {
           microstate.state = {};
         }
-        return foldl((microstate, entry) => {
-          return over(SubstateAt(entry.key), () => create(T).set(entry.value), microstate );
-        }, microstate, microstate.state);
+        if (Meta.get(microstate).lazy) {
+          return assembleLazily(microstate, (value, options) => create(T, undefined, options).set(value));
+        }
+        return setSubstates(map(value => create(T).set(value), microstate.state), microstate);
       }
     });
   }
@@ -0,0 +1,137 @@
+import parameterized from '../parameterized';
+import { create } from '../microstates';
+import { view, Path } from '../lens';
+
+// an asynchronous value of type `T`, which records its type in `status`
+export default parameterized(T => {
+  class Resource {
+    static T = T;
+
+    static get name() {
+      return `Resource<${T.name}>`;
+    }
+
+    static typeOf(value) {
+      return types[statusOf(value)];
+    }
+
+    get isIdle() {
+      return this.state.status === 'idle';
+    }
+
+    get isPending() {
+      return this.state.status === 'pending';
+    }
+
+    get isResolved() {
+      return this.state.status === 'resolved';
+    }
+
+    get isRejected() {
+      return this.state.status === 'rejected';
+    }
+
+    initialize(value) {
+      return shift(this, value);
+    }
+  }
+
+  // every type of resource shifts to the type of the status of its
+  // value, so that setting a resource to any value works
+  function statusOf(value) {
+    return value != null && types.hasOwnProperty(value.status) ? value.status : 'idle';
+  }
+
+  function shift(resource, value) {
+    let status = statusOf(value);
+    let Type = types[status];
+    if (resource instanceof Type && value != null && value.status === status) {
+      return resource;
+    } else {
+      return create(Type, Object.assign({}, value, { status }));
+    }
+  }
+
+  class Idle extends Resource {
+    initialize(value) {
+      return shift(this, value);
+    }
+
+    start() {
+      return create(Pending, { status: 'pending' });
+    }
+  }
+
+  class Pending extends Resource {
+    initialize(value) {
+      return shift(this, value);
+    }
+
+    resolve(value) {
+      return create(Resolved, { status: 'resolved', value });
+    }
+
+    reject(error) {
+      return create(Rejected, { status: 'rejected', error });
+    }
+  }
+
+  class Resolved extends Resource {
+    static get name() {
+      return `Resolved<${T.name}>`;
+    }
+
+    value = T;
+
+    initialize(value) {
+      return shift(this, value);
+    }
+
+    start() {
+      return create(Pending, { status: 'pending' });
+    }
+  }
+
+  class Rejected extends Resource {
+    initialize(value) {
+      return shift(this, value);
+    }
+
+    get error() {
+      return this.state.error;
+    }
+
+    retry() {
+      return create(Pending, { status: 'pending' });
+    }
+  }
+
+  let types = { idle: Idle, pending: Pending, resolved: Resolved, rejected: Rejected };
+
+  return Object.assign(Resource, { Idle, Pending, Resolved, Rejected });
+});
+
+// start the resource at `path` with every call, and settle it with the last one
+export function bindResource(store, path, fn) {
+  let calls = 0;
+  return function(...args) {
+    let call = ++calls;
+    let resource = view(Path(path), store.state);
+    if (resource.isRejected) {
+      resource.retry();
+    } else if (!resource.isPending) {
+      resource.start();
+    }
+
+    function settle(transition) {
+      let current = view(Path(path), store.state);
+      if (call === calls && current.isPending) {
+        transition(current);
+      }
+      return view(Path(path), store.state);
+    }
+
+    return new Promise(resolve => resolve(fn(...args)))
+      .then(value => settle(resource => resource.resolve(value)), error => settle(resource => resource.reject(error)));
+  };
+}
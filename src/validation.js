@@ -0,0 +1,192 @@
+import { view } from './lens';
+import { digest } from './hash';
+import { cached } from './memoize';
+import { Meta, SubstatePath, create, isLazy, isMicrostate } from './microstates';
+import sugar from './sugar';
+import { sourceOf } from './identity';
+import { isNode } from './tree';
+
+// only types with validators, or with validated substates, have `errors` and `isValid`
+export default function validation(Class, Type, parentOf) {
+  if (isValidated(Type)) {
+    define(Class, Type, 'errors', function() {
+      return errorsOf(this);
+    });
+    define(Class, Type, 'isValid', function() {
+      return errorsOf(this).length === 0;
+    });
+  }
+}
+
+// the substates that their parent validates are of a subclass with `error`, so
+// that the classes of their types are left alone
+export function validatedSubstate(parent, key, substate) {
+  let validate = isNode(parent) ? parent.constructor.Type.validate : undefined;
+  if (validate == null || !validate.hasOwnProperty(key) || !isNode(substate) || isValidatedSubstate(substate)) {
+    return substate;
+  }
+  let Validated = withError(substate.constructor, parentOfMicrostate);
+  return Object.create(Validated.prototype, Object.getOwnPropertyDescriptors(substate));
+}
+
+export function isValidatedSubstate(node) {
+  return errorClasses.has(node.constructor);
+}
+
+export function withError(Class, parentOf) {
+  if (!errorTypes.has(Class)) {
+    let Validated = class extends Class {
+      static name = Class.name;
+    };
+    defineError(Validated, Class.Type, parentOf);
+    errorTypes.set(Class, Validated);
+    errorClasses.add(Validated);
+  }
+  return errorTypes.get(Class);
+}
+
+const errorTypes = new WeakMap();
+const errorClasses = new WeakSet();
+const validated = new WeakMap();
+
+function defineError(Class, Type, parentOf) {
+  define(Class, Type, 'error', function() {
+    let parent = parentOf(this);
+    if (parent == null || parent.microstate.constructor.Type.validate == null) {
+      return undefined;
+    }
+    let error = errorsOf(parent.microstate).find(({ path }) => path.length === 1 && String(path[0]) === String(parent.key));
+    return error ? error.message : undefined;
+  });
+}
+
+function define(Class, Type, name, get) {
+  if (!(name in Type.prototype)) {
+    Object.defineProperty(Class.prototype, name, { configurable: true, get });
+  }
+}
+
+function isValidated(Type, visiting = []) {
+  if (Type.validate != null) {
+    return true;
+  } else if (validated.has(Type)) {
+    return validated.get(Type);
+  } else if (visiting.indexOf(Type) >= 0) {
+    return false;
+  }
+  let result = substateTypesOf(Type).some(Substate => isValidated(Substate, visiting.concat(Type)));
+  // results that were cut short by a cycle are not final
+  if (visiting.length === 0) {
+    validated.set(Type, result);
+  }
+  return result;
+}
+
+// including the type parameter of arrays, fields and resources
+function substateTypesOf(Type) {
+  let types = fieldsOf(Type);
+  return Type.T != null ? types.concat(Type.T) : types;
+}
+
+function fieldsOf(Type) {
+  if (Type.isCollection) {
+    return [];
+  }
+  let instance = new Type();
+  return Object.keys(instance).filter(key => instance[key] != null).map(key => {
+    let field = instance[key];
+    return isMicrostate(field) ? field.constructor.Type : sugar.desugarType(field);
+  });
+}
+
+// without creating the members of lazy microstates
+function errorsOf(node) {
+  let microstate = sourceOf(node) || node;
+  let [Type, ...key] = digest(microstate);
+  return cached(Type, key, () => {
+    let { state } = microstate;
+    let rules = Type.validate || {};
+    let own = Object.keys(rules).reduce((errors, field) => {
+      let value = valueOf(substateOf(microstate, field), state != null ? state[field] : undefined);
+      return [].concat(rules[field]).reduce((errors, validator) => {
+        let message = validator(value, state);
+        return message ? errors.concat({ path: [field], message }) : errors;
+      }, errors);
+    }, []);
+    return Object.keys(microstate).reduce((errors, name) => {
+      let SubstateType = name !== 'state' ? substateTypeOf(microstate, name) : undefined;
+      if (SubstateType == null || !isValidated(SubstateType)) {
+        return errors;
+      }
+      let substate = substateOf(microstate, name);
+      if (!isNode(substate)) {
+        return errors;
+      }
+      return errors.concat(errorsOf(substate).map(({ path, message }) => ({ path: [name].concat(path), message })));
+    }, own);
+  });
+}
+
+function substateTypeOf(microstate, key) {
+  if (isLazy(microstate, key)) {
+    return microstate.constructor.Type.T;
+  } else {
+    let substate = microstate[key];
+    return isNode(substate) ? substate.constructor.Type : undefined;
+  }
+}
+
+function substateOf(microstate, key) {
+  if (isLazy(microstate, key)) {
+    return create(microstate.constructor.Type.T, microstate.state[key], { lazy: true });
+  } else {
+    return microstate[key];
+  }
+}
+
+// types like `Field` validate only a part of their state
+function valueOf(substate, value) {
+  if (isNode(substate) && typeof substate.constructor.Type.validatedValue === 'function') {
+    return substate.constructor.Type.validatedValue(value);
+  } else {
+    return value;
+  }
+}
+
+// the parent of a microstate is found with its path in its context
+export function parentOfMicrostate(microstate) {
+  let { path, context } = Meta.get(microstate);
+  if (path.length === 0 || context == null) {
+    return undefined;
+  }
+  return {
+    microstate: view(SubstatePath(path.slice(0, -1)), context),
+    key: path[path.length - 1]
+  };
+}
+
+export function required(value) {
+  if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return 'is required';
+  }
+}
+
+export function min(minimum) {
+  return value => value != null && value < minimum ? `must be at least ${minimum}` : undefined;
+}
+
+export function max(maximum) {
+  return value => value != null && value > maximum ? `must be at most ${maximum}` : undefined;
+}
+
+export function minLength(length) {
+  return value => value != null && value.length < length ? `must be at least ${length} long` : undefined;
+}
+
+export function maxLength(length) {
+  return value => value != null && value.length > length ? `must be at most ${length} long` : undefined;
+}
+
+export function matches(pattern) {
+  return value => value != null && !pattern.test(value) ? 'is not valid' : undefined;
+}
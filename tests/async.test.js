@@ -0,0 +1,195 @@
+import expect from 'expect';
+import SymbolObservable from 'symbol-observable';
+import { create } from '../src/microstates';
+import { record, replay } from '../src/replay';
+import store from '../src/store';
+
+describe('asynchronous transitions', () => {
+  let requests;
+
+  function request(value) {
+    return new Promise((resolve, reject) => requests.push({ value, resolve, reject }));
+  }
+
+  class Profile {
+    name = String;
+    saving = Boolean;
+    visits = Number;
+
+    static async = {
+      save: {
+        optimistic(name) {
+          return this.name.set(name).saving.set(true);
+        }
+      },
+      load: { cancel: true }
+    };
+
+    save(name) {
+      return request(name).then(saved => profile => profile.name.set(saved).saving.set(false));
+    }
+
+    load(name) {
+      return request(name).then(loaded => ({ name: loaded, saving: false, visits: 0 }));
+    }
+
+    rename(name) {
+      return request(name).then(() => undefined);
+    }
+  }
+
+  class App {
+    profile = Profile;
+  }
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  describe('of a microstate', () => {
+    it('returns a promise of the settled microstate', () => {
+      let settled = create(App).profile.save('Homer');
+      requests[0].resolve('HOMER');
+      return settled.then(app => {
+        expect(app).toBeInstanceOf(App);
+        expect(app.state.profile).toEqual({ name: 'HOMER', saving: false, visits: 0 });
+      });
+    });
+
+    it('rejects with the error of the transition', () => {
+      let settled = create(App).profile.load('Homer');
+      requests[0].reject(new Error('not found'));
+      return settled.then(() => { throw new Error('should have rejected'); }, e => {
+        expect(e.message).toEqual('not found');
+      });
+    });
+  });
+
+  describe('of a store', () => {
+    let s;
+    beforeEach(() => {
+      s = store(create(App));
+    });
+
+    it('applies the optimistic state right away', () => {
+      s.state.profile.save('Homer');
+      expect(s.state.profile.state).toEqual({ name: 'Homer', saving: true, visits: 0 });
+    });
+
+    it('does not change the state without an optimistic state', () => {
+      let last = s.state;
+      s.state.profile.load('Homer');
+      expect(s.state).toBe(last);
+    });
+
+    it('settles against the current state', () => {
+      let settled = s.state.profile.save('Homer');
+      s.state.profile.visits.increment();
+      requests[0].resolve('HOMER');
+      return settled.then(app => {
+        expect(app).toBe(s.state);
+        expect(s.state.profile.state).toEqual({ name: 'HOMER', saving: false, visits: 1 });
+      });
+    });
+
+    it('leaves the state as it is when it resolves to undefined', () => {
+      s.state.profile.visits.increment();
+      let last = s.state;
+      let settled = s.state.profile.rename('Homer');
+      requests[0].resolve();
+      return settled.then(() => {
+        expect(s.state).toBe(last);
+      });
+    });
+
+    it('rejects with the error of the transition without error listeners', () => {
+      s.subscribe({ next() {}, error() {} });
+      let settled = s.state.profile.load('Homer');
+      requests[0].reject(new Error('not found'));
+      return settled.then(() => { throw new Error('should have rejected'); }, e => {
+        expect(e.message).toEqual('not found');
+      });
+    });
+
+    it('sends rejections to the error listeners', () => {
+      let errors = [];
+      s.onError(e => errors.push(e));
+      let settled = s.state.profile.load('Homer');
+      requests[0].reject(new Error('not found'));
+      return settled.then(app => {
+        expect(app).toBe(s.state);
+        expect(errors.map(e => e.message)).toEqual(['not found']);
+      });
+    });
+
+    it('keeps sending states to subscribers after a rejection', () => {
+      let states = [];
+      let subscription = s.subscribe({ next: next => states.push(next.state), error() {} });
+      s.onError(() => {});
+      let settled = s.state.profile.load('Homer');
+      requests[0].reject(new Error('not found'));
+      return settled.then(() => {
+        s.state.profile.visits.increment();
+        expect(subscription.closed).toBe(false);
+        expect(states[states.length - 1].profile.visits).toEqual(1);
+      });
+    });
+
+    it('cancels superseded calls', () => {
+      let first = s.state.profile.load('Homer');
+      let last = s.state.profile.load('Marge');
+      requests[1].resolve('Marge');
+      return last.then(() => {
+        requests[0].resolve('Homer');
+        return first;
+      }).then(() => {
+        expect(s.state.profile.name.state).toEqual('Marge');
+      });
+    });
+
+    it('settles every call of transitions that do not cancel', () => {
+      let first = s.state.profile.save('Homer');
+      let last = s.state.profile.save('Marge');
+      requests[1].resolve('Marge');
+      return last.then(() => {
+        requests[0].resolve('Homer');
+        return first;
+      }).then(() => {
+        expect(s.state.profile.name.state).toEqual('Homer');
+      });
+    });
+  });
+
+  describe('of an observable', () => {
+    let last, errors;
+    beforeEach(() => {
+      errors = [];
+      create(App)[SymbolObservable]().subscribe({
+        next: next => last = next,
+        error: e => errors.push(e)
+      });
+    });
+
+    it('sends rejections to the observer', () => {
+      let settled = last.profile.load('Homer');
+      requests[0].reject(new Error('not found'));
+      return settled.then(() => {
+        expect(errors.map(e => e.message)).toEqual(['not found']);
+      });
+    });
+  });
+
+  describe('that are recorded', () => {
+    it('replays their optimistic and settled states', () => {
+      let recording = record(create(App));
+      let last;
+      recording.subscribe(next => last = next);
+      let settled = last.profile.save('Homer');
+      requests[0].resolve('HOMER');
+      return settled.then(() => {
+        expect(recording.log.map(({ name }) => name)).toEqual(['set', 'set']);
+        expect(replay(create(App), recording.log).state).toEqual(last.state);
+      });
+    });
+  });
+});
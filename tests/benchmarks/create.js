@@ -0,0 +1,29 @@
+import { create } from '../../src/microstates';
+import time from './time';
+
+class Item {
+  name = String;
+  count = Number;
+}
+
+/**
+ * The cost of creating an array and an object of `size` items, and of
+ * creating the array lazily.
+ */
+export default function creation(size, repeat = 1) {
+  let array = [];
+  let object = {};
+  for (let i = 0; i < size; i++) {
+    array.push({ name: `item ${i}`, count: i });
+    object[`item ${i}`] = { name: `item ${i}`, count: i };
+  }
+
+  return {
+    size,
+    array: time(() => create([Item], array), repeat),
+    object: time(() => create({ Item }, object), repeat),
+    lazy: time(() => create([Item], array, { lazy: true }), repeat)
+  };
+}
+
+creation.sizes = [1000, 10000, 100000];
@@ -0,0 +1,38 @@
+/* eslint-disable no-console */
+require('../setup');
+
+let benchmarks = {
+  create: require('./create').default,
+  transitions: require('./transitions').default
+};
+
+// node tests/benchmarks [name] [...sizes]
+function run(names, sizes) {
+  names.forEach(name => {
+    let benchmark = benchmarks[name];
+    if (!benchmark) {
+      throw new Error(`there is no '${name}' benchmark`);
+    }
+    console.log(`${name} (ms)`);
+    let rows = (sizes.length > 0 ? sizes : benchmark.sizes).map(size => benchmark(size));
+    let columns = Object.keys(rows[0]);
+    console.log(columns.map(column => pad(column)).join(''));
+    rows.forEach(row => {
+      console.log(columns.map(column => pad(format(row[column]))).join(''));
+    });
+    console.log();
+  });
+}
+
+function format(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+function pad(text) {
+  return (text + '            ').slice(0, 12);
+}
+
+if (require.main === module) {
+  let [name, ...sizes] = process.argv.slice(2);
+  run(name ? [name] : Object.keys(benchmarks), sizes.map(Number));
+}
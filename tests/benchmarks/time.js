@@ -0,0 +1,16 @@
+/**
+ * The median time in milliseconds that it takes to invoke `fn`, over
+ * `repeat` invocations. The median is not thrown off by the odd garbage
+ * collection the way that the average is.
+ */
+export default function time(fn, repeat = 1) {
+  let samples = [];
+  for (let i = 0; i < repeat; i++) {
+    let start = process.hrtime();
+    fn(i);
+    let [seconds, nanoseconds] = process.hrtime(start);
+    samples.push(seconds * 1e3 + nanoseconds / 1e6);
+  }
+  samples.sort((a, b) => a - b);
+  return samples[Math.floor(samples.length / 2)];
+}
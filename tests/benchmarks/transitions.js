@@ -0,0 +1,36 @@
+import { create } from '../../src/microstates';
+import store from '../../src/store';
+import { TodoMVC } from '../todomvc';
+import time from './time';
+
+/**
+ * The cost of toggling one todo out of `size` todos, by itself and
+ * through a store. Only the microstates and identities on the path of
+ * the transition are copied, so the `store` column should stay about the
+ * same no matter how many todos there are, apart from copying the array
+ * of todos itself.
+ */
+export default function transitions(size, repeat = 20) {
+  let todos = [];
+  for (let i = 0; i < size; i++) {
+    todos.push({ title: `todo ${i}`, completed: false });
+  }
+  let microstate = create(TodoMVC, { todos });
+  let index = Math.floor(size / 2);
+
+  let observed = store(microstate);
+  let toggle = () => microstate.todos[index].toggle();
+  let toggleObserved = () => observed.getState().todos[index].toggle();
+
+  // warm up, so that neither of them pays for compiling the other
+  time(toggle, repeat);
+  time(toggleObserved, repeat);
+
+  return {
+    size,
+    microstate: time(toggle, repeat),
+    store: time(toggleObserved, repeat)
+  };
+}
+
+transitions.sizes = [100, 200, 400, 800];
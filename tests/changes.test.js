@@ -0,0 +1,63 @@
+import expect from 'expect';
+import { create } from '../index';
+import { changes } from '../src/changes';
+import { TodoMVC } from './todomvc';
+
+describe('changes', () => {
+  let todomvc;
+  beforeEach(() => {
+    todomvc = create(TodoMVC, { todos: [
+      { title: 'Milk', completed: false },
+      { title: 'Bread', completed: false },
+      { title: 'Eggs', completed: false }
+    ]});
+  });
+
+  it('has no changes for the same microstate', () => {
+    expect(changes(todomvc, todomvc)).toEqual([]);
+  });
+
+  it('lists the paths of changed values', () => {
+    expect(changes(todomvc, todomvc.todos[1].toggle())).toEqual([['todos', 1, 'completed']]);
+  });
+
+  it('lists the indices of added array members', () => {
+    expect(changes(todomvc, todomvc.todos.push({ title: 'Jam' }))).toEqual([['todos', 3]]);
+  });
+
+  it('lists the indices of removed array members from the end', () => {
+    expect(changes(todomvc, todomvc.todos.slice(0, 1))).toEqual([['todos', 2], ['todos', 1]]);
+  });
+
+  it('lists the indices of array members that moved', () => {
+    expect(changes(todomvc, todomvc.todos.shift())).toEqual([
+      ['todos', 0, 'title'],
+      ['todos', 1, 'title'],
+      ['todos', 2]
+    ]);
+  });
+
+  describe('of objects', () => {
+    let object;
+    beforeEach(() => {
+      object = create({ Number }, { a: 1, b: 2 });
+    });
+
+    it('lists added keys', () => {
+      expect(changes(object, object.put('c', 3))).toEqual([['c']]);
+    });
+
+    it('lists removed keys', () => {
+      expect(changes(object, object.delete('a'))).toEqual([['a']]);
+    });
+
+    it('lists replaced values', () => {
+      expect(changes(object, object.assign({ b: 5 }))).toEqual([['b']]);
+    });
+  });
+
+  it('lists the root when a primitive value changed', () => {
+    let number = create(Number, 1);
+    expect(changes(number, number.increment())).toEqual([[]]);
+  });
+});
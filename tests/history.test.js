@@ -0,0 +1,191 @@
+import expect from 'expect';
+import SymbolObservable from 'symbol-observable';
+import { create } from '../src/microstates';
+import History from '../src/history';
+
+describe('History', () => {
+  class Editor {
+    text = String;
+    count = Number;
+    cursor = Number;
+  }
+
+  let history, last, calls;
+  beforeEach(() => {
+    calls = 0;
+    history = new History(create(Editor, { text: 'a', count: 0, cursor: 0 })[SymbolObservable]());
+    history.subscribe(next => {
+      calls++;
+      last = next;
+    });
+  });
+
+  it('sends the current state to the subscriber', () => {
+    expect(calls).toBe(1);
+    expect(last.state).toEqual({ text: 'a', count: 0, cursor: 0 });
+  });
+
+  it('has nothing to undo or redo', () => {
+    expect(history.canUndo).toBe(false);
+    expect(history.canRedo).toBe(false);
+  });
+
+  describe('after a few transitions', () => {
+    let second;
+    beforeEach(() => {
+      last.text.concat('b');
+      second = last.text.concat('c');
+    });
+
+    it('can undo', () => {
+      expect(history.canUndo).toBe(true);
+      expect(history.canRedo).toBe(false);
+    });
+
+    describe('undoing', () => {
+      beforeEach(() => {
+        history.undo();
+      });
+
+      it('goes back to the previous state', () => {
+        expect(last.state.text).toBe('ab');
+        expect(history.current).toBe(last);
+      });
+
+      it('keeps the identity of the unchanged nodes', () => {
+        expect(last.count).toBe(second.count);
+      });
+
+      it('can redo', () => {
+        expect(history.canRedo).toBe(true);
+      });
+
+      it('can undo all the way back', () => {
+        history.undo();
+        expect(last.state.text).toBe('a');
+        expect(history.canUndo).toBe(false);
+        expect(history.undo()).toBe(last);
+      });
+
+      describe('redoing', () => {
+        beforeEach(() => {
+          history.redo();
+        });
+
+        it('goes forward to the next state', () => {
+          expect(last.state.text).toBe('abc');
+          expect(history.canRedo).toBe(false);
+        });
+      });
+
+      describe('then transitioning', () => {
+        beforeEach(() => {
+          last.count.increment();
+        });
+
+        it('forgets the future', () => {
+          expect(history.canRedo).toBe(false);
+          expect(last.state).toEqual({ text: 'ab', count: 1, cursor: 0 });
+        });
+      });
+    });
+
+    describe('clearing', () => {
+      beforeEach(() => {
+        history.clear();
+      });
+
+      it('forgets the past', () => {
+        expect(history.canUndo).toBe(false);
+        expect(last.state.text).toBe('abc');
+      });
+    });
+  });
+
+  describe('grouping transitions', () => {
+    beforeEach(() => {
+      history.group(() => {
+        last.text.concat('b');
+        last.count.increment();
+      });
+    });
+
+    it('sends every transition to the subscriber', () => {
+      expect(calls).toBe(3);
+    });
+
+    it('undoes the whole group at once', () => {
+      history.undo();
+      expect(last.state).toEqual({ text: 'a', count: 0, cursor: 0 });
+      expect(history.canUndo).toBe(false);
+    });
+  });
+
+  describe('with a limit', () => {
+    beforeEach(() => {
+      history = new History(create(Editor, { text: '', count: 0, cursor: 0 })[SymbolObservable](), { limit: 2 });
+      history.subscribe(next => last = next);
+      last.count.increment();
+      last.count.increment();
+      last.count.increment();
+    });
+
+    it('only remembers that many states', () => {
+      expect(history.past.length).toBe(2);
+      history.undo();
+      history.undo();
+      expect(last.state.count).toBe(1);
+      expect(history.canUndo).toBe(false);
+    });
+  });
+
+  describe('ignoring paths', () => {
+    beforeEach(() => {
+      history = new History(create(Editor, { text: 'a', count: 0, cursor: 0 })[SymbolObservable](), { ignore: [['cursor']] });
+      history.subscribe(next => last = next);
+      last.text.concat('b');
+      last.cursor.increment();
+    });
+
+    it('does not record transitions of those paths', () => {
+      expect(history.past.length).toBe(1);
+    });
+
+    it('keeps the current value of those paths when undoing', () => {
+      history.undo();
+      expect(last.state).toEqual({ text: 'a', count: 0, cursor: 1 });
+    });
+  });
+
+  describe('type-shifted states', () => {
+    class Switch {
+      on() {
+        return create(On);
+      }
+    }
+    class On extends Switch {
+      isOn = true;
+    }
+
+    beforeEach(() => {
+      history = new History(create(Switch)[SymbolObservable]());
+      history.subscribe(next => last = next);
+      last.on();
+      history.undo();
+      history.redo();
+    });
+
+    it('restores the type of the state', () => {
+      expect(last).toBeInstanceOf(On);
+      expect(last.state).toEqual({ isOn: true });
+    });
+  });
+
+  it('stops notifying after unsubscribing', () => {
+    let subscription = history.subscribe(() => calls++);
+    expect(calls).toBe(2);
+    subscription.unsubscribe();
+    last.count.increment();
+    expect(calls).toBe(3);
+  });
+});
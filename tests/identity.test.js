@@ -1,6 +1,6 @@
 import expect from 'expect';
 
-import Identity from '../src/identity';
+import Identity, { batch } from '../src/identity';
 import { create } from '../src/microstates';
 
 import { TodoMVC, Todo } from './todomvc';
@@ -46,6 +46,48 @@ describe('Identity', () => {
     });
   });
 
+  describe('invoking a transition that changes the type of a node', function() {
+    class Chore extends Todo {}
+
+    let next;
+    beforeEach(function() {
+      next = id.todos[1].set(create(Chore, id.todos[1].state));
+    });
+
+    it('rebuilds the whole subtree of the transitioned node', function() {
+      expect(next.todos[1]).toBeInstanceOf(Chore);
+      expect(next.todos[1].state).toEqual(id.todos[1].state);
+      expect(next.todos[0]).toBe(id.todos[0]);
+    });
+
+    it('can transition the new node', function() {
+      expect(next.todos[1].toggle().todos[1].state.completed).toBe(true);
+    });
+  });
+
+  describe('batching transitions of different nodes', function() {
+    let next;
+    beforeEach(function() {
+      next = batch(id, tx => {
+        tx.todos[0].toggle();
+        tx.todos[3].title.set('Profit');
+      });
+    });
+
+    it('rebuilds the nodes of every transition', function() {
+      expect(next.todos[0].state.completed).toBe(false);
+      expect(next.todos[3].title.state).toBe('Profit');
+      expect(next.todos[0]).not.toBe(id.todos[0]);
+      expect(next.todos[3]).not.toBe(id.todos[3]);
+    });
+
+    it('maintains the === identity of the nodes in between', function() {
+      expect(next.todos[1]).toBe(id.todos[1]);
+      expect(next.todos[2]).toBe(id.todos[2]);
+      expect(next.todos[3].completed).toBe(id.todos[3].completed);
+    });
+  });
+
   describe('identity of queries', function() {
 
     it('traverses queries and includes the microstates within them', function() {
@@ -78,3 +120,254 @@ describe('Identity', () => {
     })
   });
 })
+
+describe('Identity of keyed array members', () => {
+  class Item {
+    id = Number;
+    name = String;
+    active = Boolean;
+  }
+
+  class KeyedItem extends Item {
+    static key = 'id';
+  }
+
+  let items = [
+    { id: 1, name: 'one', active: false },
+    { id: 2, name: 'two', active: false },
+    { id: 3, name: 'three', active: false }
+  ];
+
+  describe('without a key', () => {
+    let id, next;
+    beforeEach(() => {
+      id = Identity(create([Item], items));
+      next = id.shift();
+    });
+
+    it('matches members by their index', () => {
+      expect(next[0]).not.toBe(id[1]);
+      expect(next[1]).not.toBe(id[2]);
+    });
+  });
+
+  describe('with a static key', () => {
+    let id, next;
+    beforeEach(() => {
+      id = Identity(create([KeyedItem], items));
+      next = id.shift();
+    });
+
+    it('maintains the === identity of the members that moved', () => {
+      expect(next).not.toBe(id);
+      expect(next[0]).toBe(id[1]);
+      expect(next[1]).toBe(id[2]);
+      expect(next[1].name).toBe(id[2].name);
+    });
+
+    describe('transitioning a member that moved', () => {
+      let last;
+      beforeEach(() => {
+        last = next[0].active.toggle();
+      });
+
+      it('transitions the member at its new position', () => {
+        expect(last.state).toEqual([
+          { id: 2, name: 'two', active: true },
+          { id: 3, name: 'three', active: false }
+        ]);
+      });
+
+      it('replaces only the member that changed', () => {
+        expect(last[0]).not.toBe(next[0]);
+        expect(last[1]).toBe(next[1]);
+      });
+    });
+
+    describe('moving members around', () => {
+      let moved;
+      beforeEach(() => {
+        moved = next.move(1, 0);
+      });
+
+      it('maintains the identity of both members', () => {
+        expect(moved[0]).toBe(next[1]);
+        expect(moved[1]).toBe(next[0]);
+      });
+
+      it('transitions the member at its new position', () => {
+        expect(moved[0].name.set('THREE').state).toEqual([
+          { id: 3, name: 'THREE', active: false },
+          { id: 2, name: 'two', active: false }
+        ]);
+      });
+    });
+  });
+
+  describe('with a key function', () => {
+    class NamedItem extends Item {
+      static key(state) {
+        return state.name;
+      }
+    }
+
+    let id, next;
+    beforeEach(() => {
+      id = Identity(create([NamedItem], items));
+      next = id.remove(1);
+    });
+
+    it('matches members by the key it returns', () => {
+      expect(next[0]).toBe(id[0]);
+      expect(next[1]).toBe(id[2]);
+    });
+  });
+
+  describe('with duplicate keys', () => {
+    let id, next;
+    beforeEach(() => {
+      id = Identity(create([KeyedItem], [
+        { id: 1, name: 'a', active: false },
+        { id: 1, name: 'a', active: false }
+      ]));
+      next = id.push({ id: 2, name: 'b', active: false });
+    });
+
+    it('does not share the identity of a member', () => {
+      expect(next[0]).not.toBe(next[1]);
+      expect(next[0].name).not.toBe(next[1].name);
+    });
+
+    it('transitions each member at its own position', () => {
+      expect(next[0].name.set('X').state.map(({ name }) => name)).toEqual(['X', 'a', 'b']);
+    });
+  });
+
+  describe('nested in another type', () => {
+    class List {
+      items = [KeyedItem];
+    }
+
+    let id, next;
+    beforeEach(() => {
+      id = Identity(create(List, { items }));
+      next = id.items.unshift({ id: 0, name: 'zero', active: false });
+    });
+
+    it('maintains the identity of the members that moved', () => {
+      expect(next.items[1]).toBe(id.items[0]);
+      expect(next.items[3]).toBe(id.items[2]);
+    });
+
+    it('transitions the moved members at their new position', () => {
+      expect(next.items[3].name.concat('!').state.items[3].name).toBe('three!');
+    });
+  });
+});
+
+describe('batching transitions', () => {
+  class Form {
+    name = String;
+    age = Number;
+    subscribed = Boolean;
+  }
+
+  let id, ticks, last;
+  beforeEach(() => {
+    ticks = 0;
+    id = Identity(create(Form, { name: 'Homer', age: 39, subscribed: false }), next => {
+      ticks++;
+      return last = next;
+    });
+  });
+
+  it('ticks once for the initial microstate', () => {
+    expect(ticks).toBe(1);
+  });
+
+  describe('applying several transitions', () => {
+    let next;
+    beforeEach(() => {
+      next = batch(id, tx => {
+        tx.name.concat(' J');
+        tx.age.increment();
+        tx.subscribed.toggle();
+      });
+    });
+
+    it('publishes a single new identity', () => {
+      expect(ticks).toBe(2);
+      expect(next).toBe(last);
+    });
+
+    it('applies every transition in order', () => {
+      expect(next.state).toEqual({ name: 'Homer J', age: 40, subscribed: true });
+    });
+
+    it('can transition the result', () => {
+      expect(next.age.increment().state.age).toBe(41);
+    });
+  });
+
+  describe('when the transaction throws', () => {
+    let error, next;
+    beforeEach(() => {
+      try {
+        batch(id, tx => {
+          tx.age.increment();
+          throw new Error('boom');
+        });
+      } catch (e) {
+        error = e;
+      }
+      next = id.name.set('Marge');
+    });
+
+    it('rethrows the error', () => {
+      expect(error.message).toBe('boom');
+    });
+
+    it('does not publish anything', () => {
+      expect(ticks).toBe(2);
+    });
+
+    it('rolls back the transitions', () => {
+      expect(next.state).toEqual({ name: 'Marge', age: 39, subscribed: false });
+    });
+  });
+
+  describe('nested batches', () => {
+    let next;
+    beforeEach(() => {
+      next = batch(id, tx => {
+        tx.age.increment();
+        batch(tx, inner => inner.name.set('Bart'));
+        try {
+          batch(tx, inner => {
+            inner.subscribed.toggle();
+            throw new Error('ignored');
+          });
+        } catch (e) {
+          // rollback of the inner batch only
+        }
+      });
+    });
+
+    it('publishes once at the end of the outermost batch', () => {
+      expect(ticks).toBe(2);
+    });
+
+    it('rolls back only the failed inner batch', () => {
+      expect(next.state).toEqual({ name: 'Bart', age: 40, subscribed: false });
+    });
+  });
+
+  it('does not publish when nothing changed', () => {
+    expect(batch(id, () => {})).toBe(id);
+    expect(ticks).toBe(1);
+  });
+
+  it('cannot batch plain microstates', () => {
+    expect(() => batch(create(Form), () => {})).toThrow(/not part of an Identity/);
+  });
+});
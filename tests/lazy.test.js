@@ -0,0 +1,153 @@
+import expect from 'expect';
+import { create, Meta } from '../src/microstates';
+import { filter } from '../src/query';
+import Identity from '../src/identity';
+import { serialize } from '../src/serialize';
+import { versions } from '../src/migrate';
+import { required } from '../src/validation';
+
+describe('lazy microstates', () => {
+  let built;
+  class Item {
+    name = String;
+
+    constructor() {
+      built++;
+    }
+
+    rename(name) {
+      return this.name.set(name);
+    }
+  }
+
+  class Catalog {
+    items = [Item];
+    index = { Item };
+  }
+
+  let catalog;
+  beforeEach(() => {
+    built = 0;
+    catalog = create(Catalog, {
+      items: [{ name: 'a' }, { name: 'b' }, { name: 'c' }],
+      index: { x: { name: 'x' }, y: { name: 'y' } }
+    }, { lazy: true });
+    built = 0;
+  });
+
+  it('does not create the members of arrays and objects until they are accessed', () => {
+    expect(built).toBe(0);
+    expect(catalog.items[1].name.state).toBe('b');
+    expect(catalog.index.y.name.state).toBe('y');
+    expect(built).toBeGreaterThan(0);
+  });
+
+  it('caches the members that were accessed', () => {
+    expect(catalog.items[1]).toBe(catalog.items[1]);
+  });
+
+  it('has the state that it was given', () => {
+    expect(catalog.state.items).toEqual([{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+    expect(catalog.items[0].state).toEqual({ name: 'a' });
+  });
+
+  it('gives members the same paths as when they are created right away', () => {
+    expect(Meta.get(catalog.items[2].name).path).toEqual(['items', 2, 'name']);
+    expect(Meta.get(catalog.index.x.name).path).toEqual(['index', 'x', 'name']);
+  });
+
+  it('makes the members lazy as well', () => {
+    class Tagged {
+      tags = [String];
+    }
+    let tagged = create([Tagged], [{ tags: ['new'] }], { lazy: true })[0];
+    expect(Meta.get(tagged.tags).lazy).toBe(true);
+    expect(tagged.tags[0].state).toBe('new');
+  });
+
+  describe('transitioning a member', () => {
+    let next;
+    beforeEach(() => {
+      next = catalog.items[1].rename('B');
+      built = 0;
+    });
+
+    it('transitions the whole', () => {
+      expect(next).toBeInstanceOf(Catalog);
+      expect(next.state.items[1].name).toBe('B');
+      expect(next.items[1].name.state).toBe('B');
+    });
+
+    it('leaves the other members to be created when they are accessed', () => {
+      expect(built).toBe(0);
+      expect(next.items[2].name.state).toBe('c');
+      expect(next.items[2].rename('C').state.items[2].name).toBe('C');
+    });
+
+    it('keeps the next microstate lazy', () => {
+      expect(Meta.get(next.items).lazy).toBe(true);
+    });
+  });
+
+  it('works with queries', () => {
+    let named = filter(catalog.items, item => item.state.name !== 'b');
+    expect([...named].map(item => item.state.name)).toEqual(['a', 'c']);
+  });
+
+  describe('with an identity', () => {
+    let id, next;
+    beforeEach(() => {
+      id = Identity(catalog);
+      built = 0;
+      next = id.items[1].name.set('B');
+    });
+
+    it('only creates the members that were accessed', () => {
+      expect(built).toBeGreaterThan(0);
+      built = 0;
+      expect(next.items[1].name.state).toBe('B');
+      expect(built).toBe(0);
+    });
+
+    it('creates the identities of the other members when they are accessed', () => {
+      expect(next.items[0].name.state).toBe('a');
+      expect(next.items[0]).toBe(next.items[0]);
+      expect(next.items[0].rename('A').items[0].name.state).toBe('A');
+    });
+
+    it('maintains the identity of members that were accessed before', () => {
+      let first = next.items[0];
+      let last = first.rename('A');
+      expect(last.items[0]).not.toBe(first);
+      expect(last.items[1]).toBe(next.items[1]);
+    });
+  });
+
+  describe('walking the whole microstate', () => {
+    it('serializes without creating the members', () => {
+      expect(serialize(catalog, { types: { Item } }).state).toEqual(catalog.state);
+      expect(Object.getOwnPropertyDescriptor(catalog.items, 0).get).toBeDefined();
+      expect(Object.getOwnPropertyDescriptor(catalog.index, 'x').get).toBeDefined();
+    });
+
+    it('lists the versions of the members without creating them', () => {
+      class Versioned {
+        static version = 2;
+        name = String;
+      }
+      let list = create([Versioned], [{ name: 'a' }, { name: 'b' }], { lazy: true });
+      expect(versions(list)).toEqual([{ path: ['0'], version: 2 }, { path: ['1'], version: 2 }]);
+      expect(Object.getOwnPropertyDescriptor(list, 0).get).toBeDefined();
+    });
+
+    it('validates the members without creating them', () => {
+      class Named {
+        static validate = { name: required };
+        name = String;
+      }
+      let list = create([Named], [{ name: 'a' }, { name: '' }], { lazy: true });
+      expect(list.errors).toEqual([{ path: ['1', 'name'], message: 'is required' }]);
+      expect(Object.getOwnPropertyDescriptor(list, 1).get).toBeDefined();
+    });
+  });
+});
@@ -1,7 +1,7 @@
 import expect from 'expect';
-import { compose, view, over, set, Prop, Path, transparent, Lens } from '../src/lens';
+import { compose, view, over, set, assign, Prop, Path, transparent, Lens } from '../src/lens';
 import { append } from 'funcadelic';
-import { create, SubstateAt } from '../src/microstates';
+import { create, SubstateAt, setSubstates, Meta } from '../src/microstates';
 
 describe('substate lenses', function() {
   class Parent {}
@@ -23,3 +23,63 @@ describe('substate lenses', function() {
     expect(set(lens, child, next)).toBe(next);
   });
 });
+
+describe('setting several substates at once', function() {
+  class Pair {
+    first = Number;
+    second = Number;
+  }
+  let pair, next;
+  beforeEach(function() {
+    pair = create(Pair, { first: 1, second: 2 });
+    next = setSubstates({ first: create(Number, 10), second: create(Number, 20) }, pair);
+  });
+
+  it('is the same as setting each one of them', function() {
+    let each = set(SubstateAt('second'), create(Number, 20), set(SubstateAt('first'), create(Number, 10), pair));
+    expect(next.state).toEqual(each.state);
+    expect(next.first.state).toBe(10);
+    expect(next.second.state).toBe(20);
+  });
+
+  it('puts the substates in the context of the whole', function() {
+    expect(Meta.get(next.second).path).toEqual(['second']);
+    expect(next.second.increment().state).toEqual({ first: 10, second: 21 });
+  });
+
+  it('puts the substates that did not change in the context of the next whole', function() {
+    expect(pair.second.state).toBe(2);
+    let incremented = pair.first.increment();
+    expect(Meta.get(incremented.second).context).toBe(incremented);
+    expect(incremented.second.increment().state).toEqual({ first: 2, second: 3 });
+  });
+
+  it('does not change the whole if none of the substates changed', function() {
+    expect(setSubstates({ first: view(SubstateAt('first'), next) }, next)).toBe(next);
+  });
+
+  it('keeps the indices of arrays as numbers', function() {
+    let array = setSubstates([create(Number, 1), create(Number, 2)], create([Number], [0, 0]));
+    expect(array.state).toEqual([1, 2]);
+    expect(Meta.get(array[1]).path).toEqual([1]);
+  });
+});
+
+describe('assigning several values at once', function() {
+  it('copies objects once', function() {
+    let object = { a: 1, b: 2 };
+    expect(assign({ a: 10, c: 3 }, object)).toEqual({ a: 10, b: 2, c: 3 });
+    expect(object).toEqual({ a: 1, b: 2 });
+  });
+
+  it('copies arrays once', function() {
+    let array = [1, 2, 3];
+    expect(assign({ 0: 10, 2: 30 }, array)).toEqual([10, 2, 30]);
+    expect(array).toEqual([1, 2, 3]);
+  });
+
+  it('does not copy anything if none of the values changed', function() {
+    let object = { a: 1 };
+    expect(assign({ a: 1 }, object)).toBe(object);
+  });
+});
@@ -0,0 +1,169 @@
+import expect from 'expect';
+import { create } from '../src/microstates';
+import Identity from '../src/identity';
+import { filter } from '../src/query';
+
+describe('memoized getters', () => {
+  let computed;
+
+  class Product {
+    price = Number;
+  }
+
+  class Cart {
+    products = [Product];
+    coupon = String;
+
+    static memoize = ['price'];
+
+    get price() {
+      computed++;
+      return this.state.products.reduce((sum, product) => sum + product.price, 0);
+    }
+  }
+
+  class Checkout {
+    products = [Product];
+    coupon = String;
+
+    static memoize = { price: ['products'] };
+
+    get price() {
+      computed++;
+      return this.state.products.reduce((sum, product) => sum + product.price, 0);
+    }
+  }
+
+  beforeEach(() => {
+    computed = 0;
+  });
+
+  describe('of a microstate', () => {
+    let cart;
+    beforeEach(() => {
+      cart = create(Cart, { products: [{ price: 1 }, { price: 2 }] });
+    });
+
+    it('computes the value once', () => {
+      expect(cart.price).toBe(3);
+      expect(cart.price).toBe(3);
+      expect(computed).toBe(1);
+    });
+
+    it('reuses the value for microstates with the same state', () => {
+      expect(cart.price).toBe(3);
+      expect(cart.products.set(cart.state.products).price).toBe(3);
+      expect(computed).toBe(1);
+    });
+
+    it('computes the value again when the state changes', () => {
+      expect(cart.price).toBe(3);
+      expect(cart.products.push({ price: 3 }).price).toBe(6);
+      expect(computed).toBe(2);
+    });
+
+    it('computes the value again when other substates change', () => {
+      expect(cart.price).toBe(3);
+      expect(cart.coupon.set('FREE').price).toBe(3);
+      expect(computed).toBe(2);
+    });
+  });
+
+  describe('with dependencies', () => {
+    let checkout;
+    beforeEach(() => {
+      checkout = create(Checkout, { products: [{ price: 1 }, { price: 2 }] });
+    });
+
+    it('reuses the value while the dependencies do not change', () => {
+      expect(checkout.price).toBe(3);
+      expect(checkout.coupon.set('FREE').price).toBe(3);
+      expect(computed).toBe(1);
+    });
+
+    it('computes the value again when the dependencies change', () => {
+      expect(checkout.price).toBe(3);
+      expect(checkout.products[0].price.set(5).price).toBe(7);
+      expect(computed).toBe(2);
+    });
+  });
+
+  describe('of an identity', () => {
+    let id;
+    beforeEach(() => {
+      id = Identity(create(Checkout, { products: [{ price: 1 }, { price: 2 }] }));
+    });
+
+    it('reuses the value of the previous identity', () => {
+      expect(id.price).toBe(3);
+      let next = id.coupon.set('FREE');
+      expect(next).not.toBe(id);
+      expect(next.price).toBe(3);
+      expect(computed).toBe(1);
+    });
+  });
+
+  describe('returning substates', () => {
+    class Todo {
+      completed = Boolean;
+    }
+
+    class Todos {
+      todos = [Todo];
+
+      static memoize = ['first', 'completed'];
+
+      get first() {
+        return this.todos[0];
+      }
+
+      get completed() {
+        return filter(this.todos, todo => todo.completed.state);
+      }
+    }
+
+    let todos;
+    beforeEach(() => {
+      todos = create(Todos, { todos: [{ completed: true }] });
+    });
+
+    it('returns the substates of the tree that it is read from', () => {
+      expect(todos.first).toBe(todos.todos[0]);
+      let id = Identity(todos);
+      expect(id.first).toBe(id.todos[0]);
+      expect(id.completed[0]).toBe(id.todos[0]);
+    });
+
+    it('transitions the tree that it is read from', () => {
+      expect(todos.first.completed.state).toBe(true);
+      let last;
+      let id = Identity(todos, next => last = next);
+      id.first.completed.toggle();
+      expect(last.state.todos[0].completed).toBe(false);
+    });
+  });
+
+  it('memoizes the getters of primitive states', () => {
+    class Celsius {
+      static memoize = ['fahrenheit'];
+
+      get fahrenheit() {
+        computed++;
+        return this.state * 9 / 5 + 32;
+      }
+    }
+    expect(create(Celsius, 100).fahrenheit).toBe(212);
+    expect(create(Celsius, 100).fahrenheit).toBe(212);
+    expect(computed).toBe(1);
+    expect(create(Celsius, 0).fahrenheit).toBe(32);
+    expect(computed).toBe(2);
+  });
+
+  it('cannot memoize properties that are not getters', () => {
+    class Broken {
+      static memoize = ['total'];
+      total() {}
+    }
+    expect(() => create(Broken)).toThrow("cannot memoize 'total' of Broken: it is not a getter");
+  });
+});
@@ -0,0 +1,121 @@
+import expect from 'expect';
+import { create } from '../src/microstates';
+import { use } from '../src/middleware';
+import Identity from '../src/identity';
+import { TodoMVC, Todo } from './todomvc';
+
+describe('middleware', () => {
+  let uninstall, transitions, todomvc;
+  beforeEach(() => {
+    transitions = [];
+    todomvc = create(TodoMVC, { todos: [{ title: 'Milk', completed: false }, { title: 'Trash', completed: false }] });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  describe('observing transitions', () => {
+    let next;
+    beforeEach(() => {
+      uninstall = use(transition => {
+        transitions.push(transition);
+        return transition.next();
+      });
+      next = todomvc.todos[1].toggle();
+    });
+
+    it('sees the transition', () => {
+      expect(transitions.length).toBe(1);
+      let [ transition ] = transitions;
+      expect(transition.name).toBe('toggle');
+      expect(transition.path).toEqual(['todos', 1]);
+      expect(transition.Type).toBe(Todo);
+      expect(transition.args).toEqual([]);
+      expect(transition.microstate.state).toEqual({ title: 'Trash', completed: false });
+    });
+
+    it('does not see the transitions invoked by that transition', () => {
+      expect(transitions.map(t => t.name)).toEqual(['toggle']);
+    });
+
+    it('performs the transition', () => {
+      expect(next.state.todos[1].completed).toBe(true);
+    });
+
+    it('does not see microstates being created', () => {
+      transitions = [];
+      create(TodoMVC, { todos: [{ title: 'Milk' }] });
+      expect(transitions).toEqual([]);
+    });
+
+    it('sees set transitions', () => {
+      transitions = [];
+      todomvc.todos[0].title.set('Oat Milk');
+      expect(transitions.map(t => [t.name, t.path, t.args])).toEqual([['set', ['todos', 0, 'title'], ['Oat Milk']]]);
+    });
+
+    it('sees transitions invoked through an identity', () => {
+      transitions = [];
+      Identity(todomvc).todos[0].completed.toggle();
+      expect(transitions.map(t => [t.name, t.path])).toEqual([['toggle', ['todos', 0, 'completed']]]);
+    });
+
+    it('stops seeing transitions when uninstalled', () => {
+      transitions = [];
+      uninstall();
+      todomvc.todos[0].toggle();
+      expect(transitions).toEqual([]);
+    });
+  });
+
+  describe('vetoing transitions', () => {
+    let next;
+    beforeEach(() => {
+      uninstall = use(({ microstate, name, next }) => name === 'toggle' ? microstate : next());
+      next = todomvc.todos[0].toggle();
+    });
+
+    it('leaves the state unchanged', () => {
+      expect(next).toBe(todomvc);
+    });
+
+    it('allows other transitions', () => {
+      expect(todomvc.todos[0].title.set('Soy Milk').state.todos[0].title).toBe('Soy Milk');
+    });
+  });
+
+  describe('rewriting transitions', () => {
+    beforeEach(() => {
+      uninstall = use(({ name, args, next }) => name === 'set' ? next(args.map(arg => String(arg).toUpperCase())) : next());
+    });
+
+    it('changes the arguments', () => {
+      expect(todomvc.todos[0].title.set('milk').state.todos[0].title).toBe('MILK');
+    });
+  });
+
+  describe('more than one middleware', () => {
+    let uninstallInner, order;
+    beforeEach(() => {
+      order = [];
+      uninstall = use(({ next }) => {
+        order.push('outer');
+        return next();
+      });
+      uninstallInner = use(({ next }) => {
+        order.push('inner');
+        return next();
+      });
+      todomvc.todos[0].toggle();
+    });
+
+    afterEach(() => {
+      uninstallInner();
+    });
+
+    it('invokes them in the order in which they were installed', () => {
+      expect(order).toEqual(['outer', 'inner']);
+    });
+  });
+});
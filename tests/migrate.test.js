@@ -0,0 +1,141 @@
+import expect from 'expect';
+import { create, Field, Resource } from '../index';
+import { migrate, versions } from '../src/migrate';
+import { serialize, deserialize } from '../src/serialize';
+import store from '../src/store';
+import persist from '../src/persist';
+import MemoryStorage from '../src/storage/memory';
+
+describe('migrations', () => {
+  class Address {
+    static version = 3;
+    static migrations = {
+      2: ({ street }) => ({ line1: street }),
+      3: ({ line1 }) => ({ lines: [line1] })
+    };
+
+    lines = [String];
+  }
+
+  class Person {
+    static version = 2;
+    static migrations = {
+      2: ({ name, address }) => ({ firstName: name.split(' ')[0], lastName: name.split(' ')[1], address })
+    };
+
+    firstName = String;
+    lastName = String;
+    address = Address;
+  }
+
+  class Company {
+    people = [Person];
+  }
+
+  let old = { name: 'Homer Simpson', address: { street: '742 Evergreen Terrace' } };
+
+  describe('migrating from the first version', () => {
+    let migrated;
+    beforeEach(() => {
+      migrated = migrate(Person, old);
+    });
+
+    it('runs the migrations of every type', () => {
+      expect(migrated).toEqual({
+        firstName: 'Homer',
+        lastName: 'Simpson',
+        address: { lines: ['742 Evergreen Terrace'] }
+      });
+    });
+
+    it('can be used to create a microstate', () => {
+      expect(create(Person, migrated).address.lines[0].state).toBe('742 Evergreen Terrace');
+    });
+  });
+
+  it('does not migrate values that are at the current version', () => {
+    let current = { firstName: 'Homer', lastName: 'Simpson', address: { lines: [] } };
+    expect(migrate(Person, current, [{ path: [], version: 2 }, { path: ['address'], version: 3 }])).toBe(current);
+  });
+
+  it('does not migrate values from their current version', () => {
+    let current = { firstName: 'Homer', lastName: 'Simpson', address: { lines: ['742 Evergreen Terrace'] } };
+    expect(migrate(Person, current, Person.version)).toBe(current);
+  });
+
+  it('only migrates the root from a version', () => {
+    let value = { name: 'Homer Simpson', address: { lines: ['742 Evergreen Terrace'] } };
+    expect(migrate(Person, value, 1)).toEqual({
+      firstName: 'Homer',
+      lastName: 'Simpson',
+      address: { lines: ['742 Evergreen Terrace'] }
+    });
+  });
+
+  it('migrates nested types independently', () => {
+    let value = { firstName: 'Homer', lastName: 'Simpson', address: { line1: 'Springfield' } };
+    expect(migrate(Person, value, [{ path: [], version: 2 }, { path: ['address'], version: 2 }])).toEqual({
+      firstName: 'Homer',
+      lastName: 'Simpson',
+      address: { lines: ['Springfield'] }
+    });
+  });
+
+  it('migrates the members of arrays', () => {
+    expect(migrate(Company, { people: [old] })).toEqual({
+      people: [{ firstName: 'Homer', lastName: 'Simpson', address: { lines: ['742 Evergreen Terrace'] } }]
+    });
+  });
+
+  it('migrates the values of fields', () => {
+    let migrated = migrate(Field.of(Person), { value: old, initial: old, touched: true, focused: false });
+    expect(migrated.value).toEqual(migrate(Person, old));
+    expect(migrated.initial).toEqual(migrate(Person, old));
+    expect(migrated.touched).toBe(true);
+    expect(migrated.focused).toBe(false);
+  });
+
+  it('migrates the values of resources', () => {
+    expect(migrate(Resource.of(Person), { status: 'resolved', value: old })).toEqual({
+      status: 'resolved',
+      value: migrate(Person, old)
+    });
+    expect(migrate(Resource.of(Person), { status: 'pending' })).toEqual({ status: 'pending' });
+  });
+
+  it('cannot migrate from a version newer than the current one', () => {
+    expect(() => migrate(Person, old, 3)).toThrow('cannot migrate Person from version 3: its current version is 2');
+  });
+
+  it('lists the versions of the nodes of a microstate', () => {
+    let company = create(Company, { people: [migrate(Person, old)] });
+    expect(versions(company)).toEqual([
+      { path: ['people', '0'], version: 2 },
+      { path: ['people', '0', 'address'], version: 3 }
+    ]);
+  });
+
+  describe('deserializing', () => {
+    it('migrates states that were serialized without versions', () => {
+      let person = deserialize(Person, { state: old });
+      expect(person.state.firstName).toBe('Homer');
+      expect(person.address.state).toEqual({ lines: ['742 Evergreen Terrace'] });
+    });
+
+    it('serializes the current versions', () => {
+      let person = deserialize(Person, { state: old });
+      let serialized = serialize(person);
+      expect(serialized.versions).toEqual([{ path: [], version: 2 }, { path: ['address'], version: 3 }]);
+      expect(deserialize(Person, JSON.stringify(serialized)).state).toEqual(person.state);
+    });
+  });
+
+  it('migrates persisted states', () => {
+    let storage = new MemoryStorage({ person: JSON.stringify({ state: old }) });
+    let people = store(create(Person));
+    persist(people, { key: 'person', storage });
+    expect(people.getState().state.lastName).toBe('Simpson');
+    people.getState().firstName.set('Marge');
+    expect(JSON.parse(storage.getItem('person')).versions).toEqual([{ path: [], version: 2 }, { path: ['address'], version: 3 }]);
+  });
+});
@@ -1,5 +1,6 @@
 import expect from 'expect';
-import { create } from "../src/microstates";
+import { create, events } from "../src/microstates";
+import { batch } from "../src/identity";
 import ArrayType from "../src/types/array";
 import SymbolObservable from 'symbol-observable';
 import { from } from 'rxjs';
@@ -186,3 +187,202 @@ describe('array as root', () => {
   });
 
 });
+
+describe('transition events', () => {
+  class Counter {
+    count = Number;
+    label = String;
+  }
+
+  let records;
+  beforeEach(() => {
+    records = [];
+    events(create(Counter, { count: 1, label: 'a' })).subscribe(record => records.push(record));
+  });
+
+  it('sends a record for the initial state', () => {
+    expect(records.length).toBe(1);
+    let [ record ] = records;
+    expect(record.state.state).toEqual({ count: 1, label: 'a' });
+    expect(record.previous).toBeUndefined();
+    expect(record.transition).toBeUndefined();
+    expect(record.changes).toBeUndefined();
+    expect(record.timestamp).toEqual(expect.any(Number));
+  });
+
+  describe('invoking a transition', () => {
+    let next;
+    beforeEach(() => {
+      next = records[0].state.count.increment();
+    });
+
+    it('returns the next state', () => {
+      expect(next.state).toEqual({ count: 2, label: 'a' });
+    });
+
+    it('sends a record of the transition', () => {
+      expect(records.length).toBe(2);
+      let [ first, second ] = records;
+      expect(second.state).toBe(next);
+      expect(second.previous).toBe(first.state);
+      expect(second.transition).toEqual({ path: ['count'], name: 'increment', args: [] });
+    });
+
+    it('lists the paths that changed', () => {
+      expect(records[1].changes).toEqual([['count']]);
+    });
+  });
+
+  describe('batching transitions', () => {
+    beforeEach(() => {
+      batch(records[0].state, tx => {
+        tx.count.increment(2);
+        tx.label.set('b');
+      });
+    });
+
+    it('sends one record with every transition of the batch', () => {
+      expect(records.length).toBe(2);
+      expect(records[1].state.state).toEqual({ count: 3, label: 'b' });
+      expect(records[1].transition).toEqual({
+        path: [],
+        name: 'batch',
+        args: [],
+        transitions: [
+          { path: ['count'], name: 'increment', args: [2] },
+          { path: ['label'], name: 'set', args: ['b'] }
+        ]
+      });
+    });
+
+    it('lists the paths that changed in the whole batch', () => {
+      expect(records[1].changes).toEqual([['count'], ['label']]);
+    });
+  });
+
+  it('can be used with rxjs', () => {
+    let last;
+    from(events(create(NumberType, 5))).subscribe(record => last = record);
+    last.state.increment();
+    expect(last.transition.name).toBe('increment');
+    expect(last.state.state).toBe(6);
+  });
+});
+
+describe('subscriptions', () => {
+  class Account {
+    balance = Number;
+
+    withdraw(amount) {
+      if (amount > this.state.balance) {
+        throw new Error('insufficient funds');
+      }
+      return this.balance.decrement(amount);
+    }
+  }
+
+  let observable, subscription, values, errors;
+  beforeEach(() => {
+    values = [];
+    errors = [];
+    observable = create(Account, { balance: 10 })[SymbolObservable]();
+    subscription = observable.subscribe({
+      next: next => values.push(next),
+      error: error => errors.push(error)
+    });
+  });
+
+  it('returns an open subscription', () => {
+    expect(subscription.closed).toBe(false);
+    expect(subscription.unsubscribe).toBeInstanceOf(Function);
+  });
+
+  it('returns the next microstate from transitions', () => {
+    expect(values[0].withdraw(3).state.balance).toBe(7);
+  });
+
+  describe('unsubscribing', () => {
+    let next;
+    beforeEach(() => {
+      subscription.unsubscribe();
+      next = values[0].withdraw(3);
+    });
+
+    it('closes the subscription', () => {
+      expect(subscription.closed).toBe(true);
+    });
+
+    it('stops sending microstates', () => {
+      expect(values.length).toBe(1);
+    });
+
+    it('still transitions', () => {
+      expect(next.state.balance).toBe(7);
+    });
+  });
+
+  describe('a transition that throws', () => {
+    let result;
+    beforeEach(() => {
+      result = values[0].withdraw(100);
+    });
+
+    it('sends the error to the observer', () => {
+      expect(errors.length).toBe(1);
+      expect(errors[0].message).toBe('insufficient funds');
+    });
+
+    it('closes the subscription', () => {
+      expect(subscription.closed).toBe(true);
+      values[0].withdraw(1);
+      expect(values.length).toBe(1);
+    });
+
+    it('returns the microstate as it was', () => {
+      expect(result).toBe(values[0]);
+    });
+  });
+
+  it('throws errors to the caller when the observer cannot handle them', () => {
+    let last;
+    observable.subscribe(next => last = next);
+    expect(() => last.withdraw(100)).toThrow('insufficient funds');
+  });
+
+  it('accepts next and error functions', () => {
+    let error;
+    observable.subscribe(next => values.push(next), e => error = e);
+    values[1].withdraw(100);
+    expect(error.message).toBe('insufficient funds');
+  });
+
+  it('starts the observer with the subscription', () => {
+    let started;
+    let returned = observable.subscribe({ start: s => started = s, next() {} });
+    expect(started).toBe(returned);
+  });
+
+  it('does not send anything if the observer unsubscribes on start', () => {
+    let received = 0;
+    observable.subscribe({ start: s => s.unsubscribe(), next: () => received++ });
+    expect(received).toBe(0);
+  });
+
+  it('can be unsubscribed through rxjs', () => {
+    let last, calls = 0;
+    let rxSubscription = from(create(Account, { balance: 10 })).subscribe(next => {
+      calls++;
+      last = next;
+    });
+    rxSubscription.unsubscribe();
+    last.withdraw(1);
+    expect(calls).toBe(1);
+  });
+
+  it('sends errors to rxjs', () => {
+    let last, error;
+    from(create(Account, { balance: 10 })).subscribe(next => last = next, e => error = e);
+    last.withdraw(100);
+    expect(error.message).toBe('insufficient funds');
+  });
+});
@@ -0,0 +1,159 @@
+import expect from 'expect';
+import { create } from '../src/microstates';
+import store from '../src/store';
+import optimistic from '../src/optimistic';
+import { TodoMVC } from './todomvc';
+
+describe('optimistic', () => {
+  let app, requests;
+
+  function request() {
+    return new Promise((resolve, reject) => requests.push({ resolve, reject }));
+  }
+
+  function titles() {
+    return app.state.state.todos.map(({ title }) => title);
+  }
+
+  beforeEach(() => {
+    requests = [];
+    app = store(create(TodoMVC, { todos: [{ title: 'Milk', completed: false }] }));
+  });
+
+  it('applies the transitions right away', () => {
+    optimistic(app, state => state.todos.push({ title: 'Bread' }), request());
+    expect(titles()).toEqual(['Milk', 'Bread']);
+  });
+
+  it('publishes all of the transitions at once', () => {
+    let states = [];
+    app.subscribe(next => states.push(next));
+    optimistic(app, state => {
+      state.todos.push({ title: 'Bread' });
+      state.todos.push({ title: 'Eggs' });
+    }, request());
+    expect(states.length).toEqual(2);
+  });
+
+  it('keeps the transitions when the promise resolves', () => {
+    let promise = optimistic(app, state => state.todos.push({ title: 'Bread' }), request());
+    requests[0].resolve('saved');
+    return promise.then(value => {
+      expect(value).toEqual('saved');
+      expect(titles()).toEqual(['Milk', 'Bread']);
+    });
+  });
+
+  describe('when the promise rejects', () => {
+    let promise;
+    beforeEach(() => {
+      promise = optimistic(app, state => state.todos.push({ title: 'Bread' }), request());
+      app.state.todos[0].toggle();
+      app.state.todos.push({ title: 'Eggs' });
+      requests[0].reject(new Error('offline'));
+      return promise.catch(() => {});
+    });
+
+    it('still rejects', () => {
+      return promise.then(() => { throw new Error('should have rejected'); }, e => {
+        expect(e.message).toEqual('offline');
+      });
+    });
+
+    it('rolls back only its transitions', () => {
+      expect(app.state.state.todos).toEqual([
+        { title: 'Milk', completed: true },
+        { title: 'Eggs', completed: false }
+      ]);
+    });
+  });
+
+  it('drops the transitions of microstates that only existed because of it', () => {
+    let promise = optimistic(app, state => state.todos.push({ title: 'Bread' }), request());
+    app.state.todos[1].toggle();
+    requests[0].reject(new Error('offline'));
+    return promise.catch(() => {
+      expect(titles()).toEqual(['Milk']);
+    });
+  });
+
+  describe('that moves other members', () => {
+    beforeEach(() => {
+      app = store(create(TodoMVC, { todos: [{ title: 'Milk', completed: false }, { title: 'Eggs', completed: false }] }));
+    });
+
+    it('replays the transitions of the members that it moved', () => {
+      let promise = optimistic(app, state => state.todos.unshift({ title: 'Bread' }), request());
+      app.state.todos[1].toggle();
+      requests[0].reject(new Error('offline'));
+      return promise.catch(() => {
+        expect(app.state.state.todos).toEqual([
+          { title: 'Milk', completed: true },
+          { title: 'Eggs', completed: false }
+        ]);
+      });
+    });
+
+    it('replays the transitions of the members added since', () => {
+      let promise = optimistic(app, state => state.todos.unshift({ title: 'Bread' }), request());
+      app.state.todos.push({ title: 'Butter' });
+      app.state.todos[3].toggle();
+      app.state.todos[2].toggle();
+      requests[0].reject(new Error('offline'));
+      return promise.catch(() => {
+        expect(app.state.state.todos).toEqual([
+          { title: 'Milk', completed: false },
+          { title: 'Eggs', completed: true },
+          { title: 'Butter', completed: true }
+        ]);
+      });
+    });
+
+    it('rolls back the updates that happened since on their own', () => {
+      let bread = optimistic(app, state => state.todos.unshift({ title: 'Bread' }), request());
+      let milk = optimistic(app, state => state.todos[1].toggle(), request());
+      requests[0].reject(new Error('offline'));
+      return bread.catch(() => {
+        expect(app.state.state.todos[0]).toEqual({ title: 'Milk', completed: true });
+        requests[1].reject(new Error('offline'));
+        return milk.catch(() => {});
+      }).then(() => {
+        expect(app.state.state.todos).toEqual([
+          { title: 'Milk', completed: false },
+          { title: 'Eggs', completed: false }
+        ]);
+      });
+    });
+  });
+
+  it('rolls back overlapping updates independently', () => {
+    let bread = optimistic(app, state => state.todos.push({ title: 'Bread' }), request());
+    let eggs = optimistic(app, state => state.todos.push({ title: 'Eggs' }), request());
+    let butter = optimistic(app, state => state.todos.push({ title: 'Butter' }), request());
+    requests[1].reject(new Error('offline'));
+    return eggs.catch(() => {
+      expect(titles()).toEqual(['Milk', 'Bread', 'Butter']);
+      requests[2].reject(new Error('offline'));
+      return butter.catch(() => {});
+    }).then(() => {
+      expect(titles()).toEqual(['Milk', 'Bread']);
+      requests[0].reject(new Error('offline'));
+      return bread.catch(() => {});
+    }).then(() => {
+      expect(titles()).toEqual(['Milk']);
+    });
+  });
+
+  it('does not bring back updates that were rolled back', () => {
+    let bread = optimistic(app, state => state.todos.push({ title: 'Bread' }), request());
+    let eggs = optimistic(app, state => state.todos.push({ title: 'Eggs' }), request());
+    requests[0].reject(new Error('offline'));
+    return bread.catch(() => {
+      expect(titles()).toEqual(['Milk', 'Eggs']);
+      requests[1].reject(new Error('offline'));
+      return eggs.catch(() => {});
+    }).then(() => {
+      expect(titles()).toEqual(['Milk']);
+    });
+  });
+});
@@ -7,4 +7,33 @@ describe('package', () => {
   it('exports map', () => expect(exports.map).toBeDefined());
   it('exports filter', () => expect(exports.filter).toBeDefined());
   it('exports reduce', () => expect(exports.reduce).toBeDefined());
+  it('exports batch', () => expect(exports.batch).toBeDefined());
+  it('exports History', () => expect(exports.History).toBeDefined());
+  it('exports use', () => expect(exports.use).toBeDefined());
+  it('exports events', () => expect(exports.events).toBeDefined());
+  it('exports record', () => expect(exports.record).toBeDefined());
+  it('exports replay', () => expect(exports.replay).toBeDefined());
+  it('exports store', () => expect(exports.store).toBeDefined());
+  it('exports subscribe', () => expect(exports.subscribe).toBeDefined());
+  it('exports stream', () => expect(exports.stream).toBeDefined());
+  it('exports serialize', () => expect(exports.serialize).toBeDefined());
+  it('exports deserialize', () => expect(exports.deserialize).toBeDefined());
+  it('exports migrate', () => expect(exports.migrate).toBeDefined());
+  it('exports diff', () => expect(exports.diff).toBeDefined());
+  it('exports applyPatch', () => expect(exports.applyPatch).toBeDefined());
+  it('exports changes', () => expect(exports.changes).toBeDefined());
+  it('exports Field', () => expect(exports.Field).toBeDefined());
+  it('exports Form', () => expect(exports.Form).toBeDefined());
+  it('exports Resource', () => expect(exports.Resource).toBeDefined());
+  it('exports bindResource', () => expect(exports.bindResource).toBeDefined());
+  it('exports required', () => expect(exports.required).toBeDefined());
+  it('exports min', () => expect(exports.min).toBeDefined());
+  it('exports max', () => expect(exports.max).toBeDefined());
+  it('exports minLength', () => expect(exports.minLength).toBeDefined());
+  it('exports maxLength', () => expect(exports.maxLength).toBeDefined());
+  it('exports matches', () => expect(exports.matches).toBeDefined());
+  it('exports persist', () => expect(exports.persist).toBeDefined());
+  it('exports MemoryStorage', () => expect(exports.MemoryStorage).toBeDefined());
+  it('exports WebStorage', () => expect(exports.WebStorage).toBeDefined());
+  it('exports optimistic', () => expect(exports.optimistic).toBeDefined());
 });
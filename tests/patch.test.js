@@ -0,0 +1,122 @@
+import expect from 'expect';
+import { create } from '../index';
+import { diff, applyPatch } from '../src/patch';
+import { TodoMVC, Todo } from './todomvc';
+
+describe('JSON Patch', () => {
+  let todomvc;
+  beforeEach(() => {
+    todomvc = create(TodoMVC, { todos: [
+      { title: 'Milk', completed: false },
+      { title: 'Bread', completed: false },
+      { title: 'Eggs', completed: false }
+    ]});
+  });
+
+  describe('diff', () => {
+    it('has no operations for the same microstate', () => {
+      expect(diff(todomvc, todomvc)).toEqual([]);
+    });
+
+    it('replaces changed values', () => {
+      expect(diff(todomvc, todomvc.todos[1].toggle())).toEqual([
+        { op: 'replace', path: '/todos/1/completed', value: true }
+      ]);
+    });
+
+    it('adds members to arrays', () => {
+      expect(diff(todomvc, todomvc.todos.push({ title: 'Jam' }))).toEqual([
+        { op: 'add', path: '/todos/3', value: { title: 'Jam', completed: false } }
+      ]);
+    });
+
+    it('removes members from arrays from the end', () => {
+      expect(diff(todomvc, todomvc.todos.clear())).toEqual([
+        { op: 'remove', path: '/todos/2' },
+        { op: 'remove', path: '/todos/1' },
+        { op: 'remove', path: '/todos/0' }
+      ]);
+    });
+
+    it('adds and removes keys of objects', () => {
+      let object = create({ Number }, { 'a/b': 1, c: 2 });
+      expect(diff(object, object.delete('a/b').put('d~e', 3))).toEqual([
+        { op: 'remove', path: '/a~1b' },
+        { op: 'add', path: '/d~0e', value: 3 }
+      ]);
+    });
+  });
+
+  describe('applyPatch', () => {
+    it('applies the diff of two microstates', () => {
+      let next = todomvc.todos[0].title.concat(' & Cookies').todos.remove(1).todos.push({ title: 'Jam' });
+      let patched = applyPatch(todomvc, JSON.parse(JSON.stringify(diff(todomvc, next))));
+      expect(patched.state).toEqual(next.state);
+      expect(patched.todos[2]).toBeInstanceOf(Todo);
+    });
+
+    it('replaces values with set transitions', () => {
+      let patched = applyPatch(todomvc, [{ op: 'replace', path: '/todos/0/title', value: 'Oat Milk' }]);
+      expect(patched.state.todos[0].title).toBe('Oat Milk');
+      expect(patched.todos[0].title.concat).toBeInstanceOf(Function);
+      expect(patched.todos[1].state).toBe(todomvc.todos[1].state);
+    });
+
+    it('adds to the end of arrays', () => {
+      let patched = applyPatch(todomvc, [{ op: 'add', path: '/todos/-', value: { title: 'Jam' } }]);
+      expect(patched.todos[3]).toBeInstanceOf(Todo);
+      expect(patched.state.todos[3]).toEqual({ title: 'Jam', completed: false });
+    });
+
+    it('inserts into arrays', () => {
+      let patched = applyPatch(todomvc, [{ op: 'add', path: '/todos/0', value: { title: 'Jam', completed: false } }]);
+      expect(patched.state.todos.map(todo => todo.title)).toEqual(['Jam', 'Milk', 'Bread', 'Eggs']);
+    });
+
+    it('moves and copies values', () => {
+      let patched = applyPatch(todomvc, [
+        { op: 'move', from: '/todos/0', path: '/todos/2' },
+        { op: 'copy', from: '/todos/0/title', path: '/todos/1/title' }
+      ]);
+      expect(patched.state.todos.map(todo => todo.title)).toEqual(['Bread', 'Bread', 'Milk']);
+    });
+
+    it('patches values that are not microstates', () => {
+      let any = create(class Settings {}, { theme: { color: 'red' } });
+      expect(applyPatch(any, [{ op: 'replace', path: '/theme/color', value: 'blue' }]).state).toEqual({ theme: { color: 'blue' } });
+      expect(applyPatch(any, [{ op: 'remove', path: '/theme/color' }]).state).toEqual({ theme: {} });
+    });
+
+    it('replaces the root', () => {
+      let patched = applyPatch(todomvc, [{ op: 'replace', path: '', value: { todos: [] } }]);
+      expect(patched).toBeInstanceOf(TodoMVC);
+      expect(patched.state).toEqual({ todos: [] });
+    });
+
+    it('tests values', () => {
+      expect(applyPatch(todomvc, [{ op: 'test', path: '/todos/0', value: { title: 'Milk', completed: false } }])).toBe(todomvc);
+      expect(() => applyPatch(todomvc, [{ op: 'test', path: '/todos/0/title', value: 'Jam' }]))
+        .toThrow(`cannot apply 'test' operation: the value at '/todos/0/title' is not "Jam"`);
+    });
+
+    it('fails to patch paths that do not exist', () => {
+      expect(() => applyPatch(todomvc, [{ op: 'add', path: '/nothing/here', value: 1 }]))
+        .toThrow(`cannot apply 'add' operation: there is no value at '/nothing/here'`);
+      expect(() => applyPatch(todomvc, [{ op: 'remove', path: '/todos/7' }]))
+        .toThrow(`cannot apply 'remove' operation: there is no value at '/todos/7'`);
+    });
+
+    it('fails to replace values that do not exist', () => {
+      let object = create({ Number }, { a: 1 });
+      expect(() => applyPatch(object, [{ op: 'replace', path: '/b', value: 2 }]))
+        .toThrow(`cannot apply 'replace' operation: there is no value at '/b'`);
+      expect(() => applyPatch(todomvc, [{ op: 'replace', path: '/todos/7/title', value: 'Jam' }]))
+        .toThrow(`cannot apply 'replace' operation: there is no value at '/todos/7/title'`);
+    });
+
+    it('fails to apply unknown operations', () => {
+      expect(() => applyPatch(todomvc, [{ op: 'explode', path: '/todos' }]))
+        .toThrow(`cannot apply 'explode' operation: it is not a JSON Patch operation`);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import expect from 'expect';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { create } from '../src/microstates';
+import store from '../src/store';
+import persist from '../src/persist';
+import MemoryStorage from '../src/storage/memory';
+import WebStorage from '../src/storage/web';
+import FileStorage from '../src/storage/file';
+
+describe('persist', () => {
+  class Counter {
+    count = Number;
+  }
+
+  let storage, counter, persistence;
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    counter = store(create(Counter, { count: 0 }));
+  });
+
+  it('needs a key', () => {
+    expect(() => persist(counter, { storage })).toThrow('cannot persist a store without a key');
+  });
+
+  describe('without saved state', () => {
+    beforeEach(() => {
+      persistence = persist(counter, { key: 'counter', storage });
+    });
+
+    it('does not save anything until the state changes', () => {
+      expect(storage.getItem('counter')).toBe(null);
+    });
+
+    it('saves the state when it changes', () => {
+      counter.getState().count.increment();
+      expect(JSON.parse(storage.getItem('counter')).state).toEqual({ count: 1 });
+    });
+
+    it('stops saving after unsubscribing', () => {
+      persistence.unsubscribe();
+      counter.getState().count.increment();
+      expect(storage.getItem('counter')).toBe(null);
+    });
+  });
+
+  describe('with saved state', () => {
+    beforeEach(() => {
+      storage.setItem('counter', JSON.stringify({ state: { count: 42 } }));
+      persist(counter, { key: 'counter', storage });
+    });
+
+    it('restores the saved state', () => {
+      expect(counter.getState()).toBeInstanceOf(Counter);
+      expect(counter.getState().state).toEqual({ count: 42 });
+    });
+
+    it('can transition the restored state', () => {
+      counter.getState().count.increment();
+      expect(JSON.parse(storage.getItem('counter')).state).toEqual({ count: 43 });
+    });
+  });
+
+  describe('with debounce', () => {
+    beforeEach(() => {
+      persistence = persist(counter, { key: 'counter', storage, debounce: 10 });
+      counter.getState().count.increment();
+      counter.getState().count.increment();
+    });
+
+    it('does not save right away', () => {
+      expect(storage.getItem('counter')).toBe(null);
+    });
+
+    it('saves the last state once the state stops changing', (done) => {
+      setTimeout(() => {
+        expect(JSON.parse(storage.getItem('counter')).state).toEqual({ count: 2 });
+        done();
+      }, 30);
+    });
+
+    it('can be flushed', () => {
+      persistence.flush();
+      expect(JSON.parse(storage.getItem('counter')).state).toEqual({ count: 2 });
+    });
+
+    it('saves the pending state when unsubscribing', () => {
+      persistence.unsubscribe();
+      expect(JSON.parse(storage.getItem('counter')).state).toEqual({ count: 2 });
+    });
+  });
+});
+
+describe('storage', () => {
+  describe('MemoryStorage', () => {
+    let storage;
+    beforeEach(() => {
+      storage = new MemoryStorage({ a: 'A' });
+    });
+
+    it('has the initial items', () => {
+      expect(storage.getItem('a')).toBe('A');
+    });
+
+    it('sets and removes items', () => {
+      storage.setItem('b', 'B');
+      expect(storage.getItem('b')).toBe('B');
+      storage.removeItem('b');
+      expect(storage.getItem('b')).toBe(null);
+    });
+  });
+
+  describe('WebStorage', () => {
+    it('needs a Storage when there is no localStorage', () => {
+      expect(() => new WebStorage()).toThrow('cannot create WebStorage: there is no localStorage in this environment');
+    });
+
+    it('delegates to the Storage', () => {
+      let items = {};
+      let storage = new WebStorage({
+        getItem: key => key in items ? items[key] : null,
+        setItem: (key, value) => items[key] = value,
+        removeItem: key => delete items[key]
+      });
+      storage.setItem('a', 'A');
+      expect(items).toEqual({ a: 'A' });
+      expect(storage.getItem('a')).toBe('A');
+      storage.removeItem('a');
+      expect(storage.getItem('a')).toBe(null);
+    });
+  });
+
+  describe('FileStorage', () => {
+    let directory, storage;
+    beforeEach(() => {
+      directory = join(fs.mkdtempSync(join(os.tmpdir(), 'microstates-')), 'state');
+      storage = new FileStorage(directory);
+    });
+
+    afterEach(() => {
+      storage.removeItem('app/state');
+      fs.rmdirSync(directory);
+      fs.rmdirSync(join(directory, '..'));
+    });
+
+    it('has no items yet', () => {
+      fs.mkdirSync(directory);
+      expect(storage.getItem('app/state')).toBe(null);
+    });
+
+    it('writes items into files', () => {
+      storage.setItem('app/state', '{"count":1}');
+      expect(fs.readFileSync(join(directory, 'app%2Fstate.json'), 'utf8')).toBe('{"count":1}');
+      expect(storage.getItem('app/state')).toBe('{"count":1}');
+    });
+
+    it('persists a store', () => {
+      let counter = store(create(class Counter { count = Number; }, { count: 0 }));
+      persist(counter, { key: 'app/state', storage });
+      counter.getState().count.increment();
+      let restored = store(create(class Counter { count = Number; }, { count: 0 }));
+      persist(restored, { key: 'app/state', storage });
+      expect(restored.getState().state).toEqual({ count: 1 });
+    });
+  });
+});
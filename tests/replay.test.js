@@ -0,0 +1,89 @@
+import expect from 'expect';
+import { create } from '../src/microstates';
+import { batch } from '../src/identity';
+import { record, replay } from '../src/replay';
+import { TodoMVC } from './todomvc';
+
+describe('record and replay', () => {
+  let initial, recording, last;
+  beforeEach(() => {
+    initial = { todos: [{ title: 'Milk', completed: false }] };
+    recording = record(create(TodoMVC, initial));
+    recording.subscribe(next => last = next);
+  });
+
+  it('sends the microstates like an observable', () => {
+    expect(last.state).toEqual(initial);
+    expect(last.todos[0].title.concat('!').state.todos[0].title).toBe('Milk!');
+  });
+
+  it('starts with an empty log', () => {
+    expect(recording.log).toEqual([]);
+  });
+
+  describe('after some transitions', () => {
+    beforeEach(() => {
+      last.todos.push({ title: 'Trash' });
+      last.todos[1].toggle();
+      batch(last, tx => {
+        tx.todos[0].title.concat(' & Bread');
+        tx.todos[0].completed.set(true);
+      });
+      last.todos.push(last.todos[0]);
+    });
+
+    it('logs every transition', () => {
+      expect(recording.log).toEqual([
+        { path: ['todos'], name: 'push', args: [{ title: 'Trash' }] },
+        { path: ['todos', '1'], name: 'toggle', args: [] },
+        { path: ['todos', '0', 'title'], name: 'concat', args: [' & Bread'] },
+        { path: ['todos', '0', 'completed'], name: 'set', args: [true] },
+        { path: ['todos'], name: 'push', args: [{ title: 'Milk & Bread', completed: true }] }
+      ]);
+    });
+
+    it('logs values that survive JSON', () => {
+      expect(JSON.parse(JSON.stringify(recording.log))).toEqual(recording.log);
+    });
+
+    describe('replaying the log', () => {
+      let replayed;
+      beforeEach(() => {
+        replayed = replay(create(TodoMVC, initial), JSON.parse(JSON.stringify(recording.log)));
+      });
+
+      it('arrives at the same state', () => {
+        expect(replayed).toBeInstanceOf(TodoMVC);
+        expect(replayed.state).toEqual(last.state);
+      });
+    });
+  });
+
+  describe('replaying a transition at a path that does not exist', () => {
+    it('throws a descriptive error', () => {
+      expect(() => replay(create(TodoMVC, initial), [{ path: ['todos', '5'], name: 'toggle', args: [] }]))
+        .toThrow("cannot replay 'toggle' transition: there is no microstate at path [todos, 5]");
+    });
+  });
+
+  describe('replaying a transition that does not exist', () => {
+    it('throws a descriptive error', () => {
+      expect(() => replay(create(TodoMVC, initial), [{ path: ['todos', '0'], name: 'explode', args: [] }]))
+        .toThrow("cannot replay 'explode' transition: Microstate<Todo> at path [todos, 0] has no such transition");
+    });
+  });
+
+  describe('recording a transition with a function argument', () => {
+    it('throws a descriptive error', () => {
+      expect(() => last.todos.filter(() => true)).toThrow("cannot record 'filter' transition: its arguments cannot be serialized");
+    });
+
+    it('does not apply it', () => {
+      let before = last;
+      expect(() => last.todos.filter(() => true)).toThrow();
+      expect(last).toBe(before);
+      last.todos.push({ title: 'Eggs', completed: false });
+      expect(replay(create(TodoMVC, initial), recording.log).state).toEqual(last.state);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import expect from 'expect';
+import { create } from '../src/microstates';
+import Identity from '../src/identity';
+import { serialize, deserialize } from '../src/serialize';
+
+describe('serialization', () => {
+  class Shape {
+    initialize({ a, b, c } = {}) {
+      if (a && b && c) {
+        return create(Triangle, { a, b, c });
+      }
+      return this;
+    }
+  }
+
+  class Triangle extends Shape {
+    a = Number;
+    b = Number;
+    c = Number;
+  }
+
+  class Switch {
+    on() {
+      return create(On, {});
+    }
+  }
+
+  class On extends Switch {
+    isOn = true;
+  }
+
+  class Drawing {
+    shapes = [Shape];
+    light = Switch;
+  }
+
+  let drawing;
+  beforeEach(() => {
+    drawing = create(Drawing, { shapes: [{ a: 1, b: 2, c: 3 }, {}], light: {} }).light.on();
+  });
+
+  describe('JSON.stringify', () => {
+    it('stringifies the state of a microstate', () => {
+      expect(JSON.parse(JSON.stringify(drawing))).toEqual(drawing.state);
+      expect(JSON.stringify(drawing.shapes[0])).toBe('{"a":1,"b":2,"c":3}');
+    });
+
+    it('stringifies the state of an identity', () => {
+      expect(JSON.parse(JSON.stringify(Identity(drawing)))).toEqual(drawing.state);
+    });
+  });
+
+  describe('without types', () => {
+    let json;
+    beforeEach(() => {
+      json = JSON.stringify(serialize(drawing));
+    });
+
+    it('only contains the state', () => {
+      expect(JSON.parse(json)).toEqual({ state: drawing.state });
+    });
+
+    it('recovers types from initialize', () => {
+      let restored = deserialize(Drawing, json);
+      expect(restored.shapes[0]).toBeInstanceOf(Triangle);
+      expect(restored.state).toEqual(drawing.state);
+    });
+
+    it('cannot recover types that were shifted by transitions', () => {
+      expect(deserialize(Drawing, json).light).not.toBeInstanceOf(On);
+    });
+  });
+
+  describe('with a registry of types', () => {
+    let types, serialized;
+    beforeEach(() => {
+      types = { Drawing, Triangle, On };
+      serialized = serialize(drawing, { types });
+    });
+
+    it('tags the nodes of those types', () => {
+      expect(serialized.types).toEqual([
+        { path: [], type: 'Drawing' },
+        { path: ['shapes', '0'], type: 'Triangle' },
+        { path: ['light'], type: 'On' }
+      ]);
+    });
+
+    describe('deserializing', () => {
+      let restored;
+      beforeEach(() => {
+        restored = deserialize(Drawing, JSON.stringify(serialized), { types });
+      });
+
+      it('recovers the shifted types', () => {
+        expect(restored.light).toBeInstanceOf(On);
+        expect(restored.shapes[0]).toBeInstanceOf(Triangle);
+        expect(restored.shapes[1]).not.toBeInstanceOf(Triangle);
+      });
+
+      it('recovers the state', () => {
+        expect(restored.state).toEqual(drawing.state);
+      });
+
+      it('can transition the recovered nodes', () => {
+        expect(restored.shapes[0].c.increment().state.shapes[0].c).toBe(4);
+      });
+    });
+
+    it('fails to deserialize types that are not in the registry', () => {
+      expect(() => deserialize(Drawing, serialized, { types: { Drawing, Triangle } }))
+        .toThrow("cannot deserialize type 'On' at path [light]: it is not in the registry");
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import expect from 'expect';
+import SymbolObservable from 'symbol-observable';
+import { from } from 'rxjs';
+import { create } from '../src/microstates';
+import { batch } from '../src/identity';
+import store, { Store, subscribe } from '../src/store';
+import { TodoMVC, Todo } from './todomvc';
+
+describe('Store', () => {
+  let todos, first, second;
+  beforeEach(() => {
+    todos = store(create(TodoMVC, { todos: [{ title: 'Milk', completed: false }] }));
+    first = [];
+    second = [];
+    todos.subscribe(next => first.push(next));
+    todos.subscribe(next => second.push(next));
+  });
+
+  it('is a Store', () => {
+    expect(todos).toBeInstanceOf(Store);
+  });
+
+  it('has the current state', () => {
+    expect(todos.getState()).toBeInstanceOf(TodoMVC);
+    expect(todos.getState().todos[0]).toBeInstanceOf(Todo);
+    expect(todos.getState().state).toEqual({ todos: [{ title: 'Milk', completed: false }] });
+  });
+
+  it('sends the current state to new subscribers', () => {
+    expect(first).toEqual([todos.getState()]);
+    expect(second).toEqual([todos.getState()]);
+  });
+
+  describe('transitioning from different subscribers', () => {
+    let next;
+    beforeEach(() => {
+      first[0].todos.push({ title: 'Bread' });
+      next = second[0].todos[0].toggle();
+    });
+
+    it('applies the transitions to the shared state', () => {
+      expect(next.state).toEqual({ todos: [{ title: 'Milk', completed: true }, { title: 'Bread', completed: false }] });
+      expect(todos.getState()).toBe(next);
+    });
+
+    it('sends the same sequence of states to every subscriber', () => {
+      expect(first.length).toBe(3);
+      expect(first).toEqual(second);
+      first.forEach((state, i) => expect(state).toBe(second[i]));
+    });
+  });
+
+  it('publishes batched transitions once', () => {
+    batch(todos.getState(), tx => {
+      tx.todos.push({ title: 'Bread' });
+      tx.todos[0].toggle();
+    });
+    expect(first.length).toBe(2);
+    expect(todos.getState().state.todos.length).toBe(2);
+  });
+
+  it('stops notifying subscribers that unsubscribed', () => {
+    let calls = 0;
+    let subscription = todos.subscribe(() => calls++);
+    subscription.unsubscribe();
+    todos.getState().todos[0].toggle();
+    expect(calls).toBe(1);
+    expect(first.length).toBe(2);
+  });
+
+  it('throws errors of transitions to the caller', () => {
+    class Failing {
+      fail() {
+        throw new Error('nope');
+      }
+    }
+    let failing = store(create(Failing));
+    expect(() => failing.getState().fail()).toThrow('nope');
+  });
+
+  it('can be listened to for transitions', () => {
+    let transitions = [];
+    let stop = todos.listen(transition => transitions.push(transition));
+    todos.getState().todos[0].toggle();
+    stop();
+    todos.getState().todos[0].toggle();
+    expect(transitions.map(({ path, name }) => ({ path, name }))).toEqual([{ path: ['todos', '0'], name: 'toggle' }]);
+  });
+
+  it('is observable', () => {
+    expect(todos[SymbolObservable]()).toBe(todos);
+    let last;
+    from(todos).subscribe(next => last = next);
+    expect(last).toBe(todos.getState());
+  });
+});
+
+describe('subscribing to a path of a store', () => {
+  let todos, calls, last;
+  beforeEach(() => {
+    todos = store(create(TodoMVC, { todos: [{ title: 'Milk', completed: false }, { title: 'Bread', completed: false }] }));
+    calls = 0;
+    subscribe(todos, ['todos', 1], next => {
+      calls++;
+      last = next;
+    });
+  });
+
+  it('sends the current state at that path', () => {
+    expect(calls).toBe(1);
+    expect(last).toBe(todos.getState().todos[1]);
+  });
+
+  it('does not send anything when another part of the state changes', () => {
+    todos.getState().todos[0].toggle();
+    expect(calls).toBe(1);
+  });
+
+  it('sends the next state when the state at that path changes', () => {
+    todos.getState().todos[1].toggle();
+    expect(calls).toBe(2);
+    expect(last.state).toEqual({ title: 'Bread', completed: true });
+    expect(last).toBe(todos.getState().todos[1]);
+  });
+
+  it('sends undefined when the path is removed', () => {
+    todos.getState().todos.pop();
+    expect(calls).toBe(2);
+    expect(last).toBeUndefined();
+  });
+
+  it('does not send anything after unsubscribing', () => {
+    let calls = 0;
+    let subscription = subscribe(todos, ['todos', 0], () => calls++);
+    subscription.unsubscribe();
+    todos.getState().todos[0].toggle();
+    expect(calls).toBe(1);
+  });
+});
@@ -0,0 +1,113 @@
+import expect from 'expect';
+import { create } from '../src/microstates';
+import store from '../src/store';
+import stream from '../src/stream';
+
+describe('stream', () => {
+  class Counter {
+    count = Number;
+
+    fail() {
+      throw new Error('failed');
+    }
+  }
+
+  let iterator;
+  beforeEach(() => {
+    iterator = stream(create(Counter, { count: 0 }));
+  });
+
+  it('is an async iterator', () => {
+    expect(iterator[Symbol.asyncIterator]()).toBe(iterator);
+  });
+
+  it('yields the initial state', () => {
+    return iterator.next().then(({ value, done }) => {
+      expect(done).toBe(false);
+      expect(value.state).toEqual({ count: 0 });
+    });
+  });
+
+  it('yields the states of transitions', () => {
+    return iterator.next()
+      .then(({ value }) => {
+        value.count.increment();
+        return iterator.next();
+      })
+      .then(({ value }) => expect(value.state).toEqual({ count: 1 }));
+  });
+
+  it('waits for the next transition', () => {
+    let current;
+    return iterator.next()
+      .then(({ value }) => {
+        current = value;
+        setTimeout(() => current.count.increment(), 1);
+        return iterator.next();
+      })
+      .then(({ value }) => expect(value.state).toEqual({ count: 1 }));
+  });
+
+  it('buffers states that have not been consumed yet', () => {
+    return iterator.next()
+      .then(({ value }) => {
+        value.count.increment().count.increment();
+        return Promise.all([iterator.next(), iterator.next()]);
+      })
+      .then(([first, second]) => {
+        expect(first.value.state).toEqual({ count: 1 });
+        expect(second.value.state).toEqual({ count: 2 });
+      });
+  });
+
+  it('only keeps the most recent states with a bounded buffer', () => {
+    let bounded = stream(create(Counter, { count: 0 }), { buffer: 1 });
+    return bounded.next()
+      .then(({ value }) => {
+        value.count.increment().count.increment().count.increment();
+        return bounded.next();
+      })
+      .then(({ value }) => expect(value.state).toEqual({ count: 3 }));
+  });
+
+  describe('returning', () => {
+    let pending, current;
+    beforeEach(() => {
+      return iterator.next().then(({ value }) => {
+        current = value;
+        pending = iterator.next();
+        return iterator.return('bye');
+      }).then(result => expect(result).toEqual({ value: 'bye', done: true }));
+    });
+
+    it('finishes the pending iteration', () => {
+      return pending.then(result => expect(result.done).toBe(true));
+    });
+
+    it('stops yielding states', () => {
+      current.count.increment();
+      return iterator.next().then(result => expect(result.done).toBe(true));
+    });
+  });
+
+  it('rejects when a transition fails', () => {
+    return iterator.next()
+      .then(({ value }) => {
+        value.fail();
+        return iterator.next();
+      })
+      .then(() => { throw new Error('expected the iteration to fail'); }, error => expect(error.message).toBe('failed'))
+      .then(() => iterator.next())
+      .then(result => expect(result.done).toBe(true));
+  });
+
+  it('can iterate over a store', () => {
+    let counter = store(create(Counter, { count: 5 }));
+    let states = stream(counter);
+    counter.getState().count.increment();
+    return Promise.all([states.next(), states.next()]).then(([first, second]) => {
+      expect(first.value.state.count).toBe(5);
+      expect(second.value).toBe(counter.getState());
+    });
+  });
+});
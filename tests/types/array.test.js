@@ -1,7 +1,7 @@
 import expect from 'expect';
 
 import ArrayType from '../../src/types/array';
-import { create } from '../../src/microstates';
+import { create, Meta } from '../../src/microstates';
 
 describe("ArrayType", function() {
   describe("when unparameterized", function() {
@@ -58,6 +58,109 @@ describe("ArrayType", function() {
         expect(mapped.state).toEqual(["A", "B", "C"]);
       });
     });
+
+    describe("pop", () => {
+      it("removes the last element", () => {
+        expect(ms.pop().state).toEqual(["a", "b"]);
+      });
+    });
+
+    describe("splice", () => {
+      it("removes and inserts elements", () => {
+        expect(ms.splice(1, 1, "x", "y").state).toEqual(["a", "x", "y", "c"]);
+      });
+
+      it("removes everything after start without a delete count", () => {
+        expect(ms.splice(1).state).toEqual(["a"]);
+      });
+
+      it("leaves the array as it is when nothing is removed or inserted", () => {
+        expect(ms.splice(1, 0)).toBe(ms);
+        expect(ms.splice(5, 1)).toBe(ms);
+      });
+    });
+
+    describe("insertAt", () => {
+      it("inserts the value at the index", () => {
+        expect(ms.insertAt(1, "x").state).toEqual(["a", "x", "b", "c"]);
+      });
+    });
+
+    describe("remove", () => {
+      it("removes the element at the index", () => {
+        expect(ms.remove(1).state).toEqual(["a", "c"]);
+      });
+
+      it("counts negative indices from the end", () => {
+        expect(ms.remove(-1).state).toEqual(["a", "b"]);
+      });
+
+      it("leaves the array as it is when the index is out of range", () => {
+        expect(ms.remove(5)).toBe(ms);
+      });
+    });
+
+    describe("replace", () => {
+      it("replaces the element at the index", () => {
+        expect(ms.replace(2, "z").state).toEqual(["a", "b", "z"]);
+      });
+
+      it("leaves the array as it is when the index is out of range", () => {
+        expect(ms.replace(5, "z")).toBe(ms);
+      });
+    });
+
+    describe("move", () => {
+      it("moves an element forward", () => {
+        expect(ms.move(0, 2).state).toEqual(["b", "c", "a"]);
+      });
+
+      it("moves an element backward", () => {
+        expect(ms.move(2, 0).state).toEqual(["c", "a", "b"]);
+      });
+
+      it("leaves the array as it is when the element is out of range", () => {
+        expect(ms.move(5, 0)).toBe(ms);
+        expect(ms.move(-4, 0)).toBe(ms);
+      });
+    });
+
+    describe("slice", () => {
+      it("keeps the elements between begin and end", () => {
+        expect(ms.slice(1, 2).state).toEqual(["b"]);
+      });
+
+      it("leaves the array as it is when it keeps every element", () => {
+        expect(ms.slice()).toBe(ms);
+      });
+    });
+
+    describe("reverse", () => {
+      it("reverses the elements", () => {
+        expect(ms.reverse().state).toEqual(["c", "b", "a"]);
+      });
+
+      it("does not change the original", () => {
+        ms.reverse();
+        expect(ms.state).toEqual(["a", "b", "c"]);
+      });
+    });
+
+    describe("sort", () => {
+      let unsorted;
+      beforeEach(() => {
+        unsorted = create(ArrayType, ["b", "c", "a"]);
+      });
+
+      it("sorts by state by default", () => {
+        expect(unsorted.sort().state).toEqual(["a", "b", "c"]);
+      });
+
+      it("sorts with a compare function that receives microstates", () => {
+        let sorted = unsorted.sort((a, b) => a.state < b.state ? 1 : -1);
+        expect(sorted.state).toEqual(["c", "b", "a"]);
+      });
+    });
   });
 
   describe("when parameterized", () => {
@@ -271,6 +374,102 @@ describe("ArrayType", function() {
         });
       });
 
+      describe('remove', () => {
+        let removed;
+        beforeEach(() => {
+          removed = dataset.records.remove(0);
+        });
+
+        it('removed the element from the array', () => {
+          expect(removed.records.state.length).toBe(2);
+          expect(removed.records[0].content.state).toBe('Sweet');
+        });
+
+        it('keeps the source microstates of the remaining records', () => {
+          expect(Meta.source(removed.records[0])).toBe(Meta.source(dataset.records[1]));
+          expect(Meta.source(removed.records[1])).toBe(Meta.source(dataset.records[2]));
+        });
+
+        describe('changing a remaining record', () => {
+          let changed;
+          beforeEach(() => {
+            changed = removed.records[1].content.concat('!!!');
+          });
+
+          it('changed the content', () => {
+            expect(changed.records[1].content.state).toBe('Woooo!!!');
+          });
+        });
+      });
+
+      describe('insertAt', () => {
+        let inserted;
+        beforeEach(() => {
+          inserted = dataset.records.insertAt(1, { content: 'Hi!' });
+        });
+
+        it('inserted a record', () => {
+          expect(inserted.records[1]).toBeInstanceOf(Record);
+          expect(inserted.records[1].content.state).toBe('Hi!');
+          expect(inserted.records[2].content.state).toBe('Sweet');
+        });
+      });
+
+      describe('move', () => {
+        let moved;
+        beforeEach(() => {
+          moved = dataset.records.move(2, 0);
+        });
+
+        it('reordered the records', () => {
+          expect(moved.state.records).toEqual([
+            {content: 'Woooo'},
+            {content: 'Herro'},
+            {content: 'Sweet'}
+          ]);
+        });
+
+        it('keeps the source microstates of the moved records', () => {
+          expect(Meta.source(moved.records[0])).toBe(Meta.source(dataset.records[2]));
+          expect(Meta.source(moved.records[1])).toBe(Meta.source(dataset.records[0]));
+        });
+
+        describe('changing a moved record', () => {
+          let changed;
+          beforeEach(() => {
+            changed = moved.records[0].content.set('Yay');
+          });
+
+          it('changed the record at its new position', () => {
+            expect(changed.state.records[0].content).toBe('Yay');
+            expect(changed.state.records[2].content).toBe('Sweet');
+          });
+        });
+      });
+
+      describe('sort', () => {
+        let sorted;
+        beforeEach(() => {
+          sorted = dataset.records.sort((a, b) => b.content.state.localeCompare(a.content.state));
+        });
+
+        it('sorted the records', () => {
+          expect(sorted.state.records.map(r => r.content)).toEqual(['Woooo', 'Sweet', 'Herro']);
+        });
+      });
+
+      describe('replace', () => {
+        let replaced;
+        beforeEach(() => {
+          replaced = dataset.records.replace(1, { content: 'Sour' });
+        });
+
+        it('replaced the record', () => {
+          expect(replaced.records[1]).toBeInstanceOf(Record);
+          expect(replaced.state.records[1].content).toBe('Sour');
+        });
+      });
+
       describe('clear', () => {
         let cleared;
         beforeEach(() => {
@@ -0,0 +1,96 @@
+import expect from 'expect';
+import { create, Field } from '../../index';
+
+describe('Field', () => {
+  let field;
+  beforeEach(() => {
+    field = create(Field.of(String), { value: 'homer' });
+  });
+
+  it('has a name', () => {
+    expect(Field.of(String).name).toEqual('Field<String>');
+  });
+
+  it('starts with the initial value', () => {
+    expect(field.state).toEqual({ value: 'homer', initial: 'homer', touched: false, focused: false });
+  });
+
+  it('is pristine', () => {
+    expect(field.dirty).toBe(false);
+    expect(field.pristine).toBe(true);
+  });
+
+  it('keeps an initial value that is given', () => {
+    expect(create(Field.of(String), { value: 'marge', initial: 'homer' }).dirty).toBe(true);
+  });
+
+  it('has the initial value of its type without a value', () => {
+    expect(create(Field.of(Number)).state).toEqual({ value: 0, initial: 0, touched: false, focused: false });
+  });
+
+  describe('changing the value', () => {
+    let changed;
+    beforeEach(() => {
+      changed = field.value.concat(' simpson');
+    });
+
+    it('is dirty', () => {
+      expect(changed.dirty).toBe(true);
+      expect(changed.state.initial).toEqual('homer');
+    });
+
+    it('is pristine when it is changed back', () => {
+      expect(changed.value.set('homer').dirty).toBe(false);
+    });
+
+    describe('reset', () => {
+      let reset;
+      beforeEach(() => {
+        reset = changed.blur().reset();
+      });
+
+      it('has the initial value', () => {
+        expect(reset.state.value).toEqual('homer');
+        expect(reset.dirty).toBe(false);
+      });
+
+      it('is not touched', () => {
+        expect(reset.state.touched).toBe(false);
+      });
+    });
+
+    describe('commit', () => {
+      let committed;
+      beforeEach(() => {
+        committed = changed.commit();
+      });
+
+      it('makes the value the initial value', () => {
+        expect(committed.state.initial).toEqual('homer simpson');
+        expect(committed.dirty).toBe(false);
+      });
+
+      it('resets to the committed value', () => {
+        expect(committed.value.set('bart').reset().state.value).toEqual('homer simpson');
+      });
+    });
+  });
+
+  describe('focus', () => {
+    let focused;
+    beforeEach(() => {
+      focused = field.focus();
+    });
+
+    it('is focused but not touched', () => {
+      expect(focused.state.focused).toBe(true);
+      expect(focused.state.touched).toBe(false);
+    });
+
+    it('is touched after blur', () => {
+      let blurred = focused.blur();
+      expect(blurred.state.focused).toBe(false);
+      expect(blurred.state.touched).toBe(true);
+    });
+  });
+});
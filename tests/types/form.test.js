@@ -0,0 +1,82 @@
+import expect from 'expect';
+import { create, store, Field, Form, required, minLength } from '../../index';
+
+class Address extends Form {
+  street = Field.of(String);
+}
+
+class Signup extends Form {
+  static validate = { email: required, password: minLength(8) };
+
+  email = Field.of(String);
+  password = Field.of(String);
+  address = Address;
+}
+
+describe('Form', () => {
+  let form;
+  beforeEach(() => {
+    form = create(Signup, { email: { value: 'homer@simpson.com' }, address: { street: { value: 'Evergreen Terrace' } } });
+  });
+
+  it('has the values of its fields and nested forms', () => {
+    expect(form.values).toEqual({ email: 'homer@simpson.com', password: '', address: { street: 'Evergreen Terrace' } });
+  });
+
+  it('is pristine and not touched', () => {
+    expect(form.dirty).toBe(false);
+    expect(form.pristine).toBe(true);
+    expect(form.touched).toBe(false);
+  });
+
+  it('validates the values of its fields', () => {
+    expect(form.errors).toEqual([{ path: ['password'], message: 'must be at least 8 long' }]);
+    expect(form.password.error).toEqual('must be at least 8 long');
+    expect(form.email.error).toBeUndefined();
+  });
+
+  describe('changing a nested field', () => {
+    let changed;
+    beforeEach(() => {
+      changed = form.address.street.value.set('Spalding Way').address.street.blur();
+    });
+
+    it('is dirty and touched', () => {
+      expect(changed.dirty).toBe(true);
+      expect(changed.touched).toBe(true);
+      expect(changed.address.dirty).toBe(true);
+    });
+
+    it('resets all of its fields', () => {
+      let reset = changed.password.value.set('donuts!!').reset();
+      expect(reset.values).toEqual(form.values);
+      expect(reset.dirty).toBe(false);
+      expect(reset.touched).toBe(false);
+    });
+
+    it('commits all of its fields', () => {
+      let committed = changed.commit();
+      expect(committed.dirty).toBe(false);
+      expect(committed.address.street.state.initial).toEqual('Spalding Way');
+    });
+  });
+
+  describe('in a store', () => {
+    let s;
+    beforeEach(() => {
+      s = store(form);
+      s.state.email.value.set('marge@simpson.com');
+    });
+
+    it('is dirty', () => {
+      expect(s.state.dirty).toBe(true);
+      expect(s.state.values.email).toEqual('marge@simpson.com');
+    });
+
+    it('resets', () => {
+      s.state.reset();
+      expect(s.state.dirty).toBe(false);
+      expect(s.state.values.email).toEqual('homer@simpson.com');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import expect from 'expect';
+import { create, store, Resource, bindResource } from '../../index';
+
+describe('Resource', () => {
+  class User {
+    name = String;
+  }
+
+  let UserResource = Resource.of(User);
+
+  class Page {
+    user = UserResource;
+  }
+
+  describe('create', () => {
+    it('is idle without a value', () => {
+      let resource = create(UserResource);
+      expect(resource).toBeInstanceOf(UserResource.Idle);
+      expect(resource.state).toEqual({ status: 'idle' });
+      expect(resource.isIdle).toBe(true);
+    });
+
+    it('is idle with an unknown status', () => {
+      expect(create(UserResource, { status: 'cooking' })).toBeInstanceOf(UserResource.Idle);
+    });
+
+    it('initializes to the type of its status', () => {
+      let resource = create(UserResource, { status: 'resolved', value: { name: 'Homer' } });
+      expect(resource).toBeInstanceOf(UserResource.Resolved);
+      expect(resource.value).toBeInstanceOf(User);
+      expect(resource.value.name.state).toEqual('Homer');
+    });
+
+    it('initializes the types of substates', () => {
+      let page = create(Page, { user: { status: 'pending' } });
+      expect(page.user).toBeInstanceOf(UserResource.Pending);
+    });
+
+    it('has a name', () => {
+      expect(UserResource.name).toEqual('Resource<User>');
+      expect(UserResource.Resolved.name).toEqual('Resolved<User>');
+    });
+  });
+
+  describe('transitions', () => {
+    let page;
+    beforeEach(() => {
+      page = create(Page).user.start();
+    });
+
+    it('starts', () => {
+      expect(page.user).toBeInstanceOf(UserResource.Pending);
+      expect(page.state.user).toEqual({ status: 'pending' });
+    });
+
+    it('only has the transitions of its type', () => {
+      expect(page.user.start).toBeUndefined();
+      expect(page.user.retry).toBeUndefined();
+    });
+
+    describe('resolve', () => {
+      let resolved;
+      beforeEach(() => {
+        resolved = page.user.resolve({ name: 'Homer' });
+      });
+
+      it('has the value', () => {
+        expect(resolved.user).toBeInstanceOf(UserResource.Resolved);
+        expect(resolved.user.isResolved).toBe(true);
+        expect(resolved.user.value.name.state).toEqual('Homer');
+      });
+
+      it('can transition the value', () => {
+        expect(resolved.user.value.name.set('Marge').state.user.value).toEqual({ name: 'Marge' });
+      });
+
+      it('can start again', () => {
+        expect(resolved.user.start().user).toBeInstanceOf(UserResource.Pending);
+      });
+    });
+
+    describe('reject', () => {
+      let error = new Error('not found');
+      let rejected;
+      beforeEach(() => {
+        rejected = page.user.reject(error);
+      });
+
+      it('has the error', () => {
+        expect(rejected.user).toBeInstanceOf(UserResource.Rejected);
+        expect(rejected.user.isRejected).toBe(true);
+        expect(rejected.user.error).toBe(error);
+      });
+
+      it('can retry', () => {
+        expect(rejected.user.retry().user).toBeInstanceOf(UserResource.Pending);
+      });
+    });
+  });
+
+  describe('bindResource', () => {
+    let s;
+    let requests;
+    let load;
+    beforeEach(() => {
+      s = store(create(Page));
+      requests = [];
+      load = bindResource(s, ['user'], name => new Promise((resolve, reject) => requests.push({ name, resolve, reject })));
+    });
+
+    it('starts the resource', () => {
+      load('Homer');
+      expect(s.state.user.isPending).toBe(true);
+      expect(requests.map(({ name }) => name)).toEqual(['Homer']);
+    });
+
+    it('resolves the resource', () => {
+      let loaded = load('Homer');
+      requests[0].resolve({ name: 'Homer' });
+      return loaded.then(user => {
+        expect(user).toBe(s.state.user);
+        expect(s.state.user.value.name.state).toEqual('Homer');
+      });
+    });
+
+    it('rejects the resource', () => {
+      let error = new Error('not found');
+      let loaded = load('Homer');
+      requests[0].reject(error);
+      return loaded.then(() => {
+        expect(s.state.user.isRejected).toBe(true);
+        expect(s.state.user.error).toBe(error);
+      });
+    });
+
+    it('retries a rejected resource', () => {
+      let loaded = load('Homer');
+      requests[0].reject(new Error('not found'));
+      return loaded.then(() => {
+        load('Homer');
+        expect(s.state.user.isPending).toBe(true);
+      });
+    });
+
+    it('is only settled by the last call', () => {
+      let first = load('Homer');
+      let last = load('Marge');
+      requests[0].resolve({ name: 'Homer' });
+      return first.then(() => {
+        expect(s.state.user.isPending).toBe(true);
+        requests[1].resolve({ name: 'Marge' });
+        return last;
+      }).then(() => {
+        expect(s.state.user.value.name.state).toEqual('Marge');
+      });
+    });
+  });
+});
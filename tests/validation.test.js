@@ -0,0 +1,166 @@
+import expect from 'expect';
+import { create } from '../src/microstates';
+import Identity from '../src/identity';
+import { required, min, max, minLength, maxLength, matches } from '../src/validation';
+
+describe('validation', () => {
+  let validated;
+  let isEmail = value => {
+    validated++;
+    return /^\S+@\S+$/.test(value) ? undefined : 'is not an email';
+  };
+
+  class Signup {
+    email = String;
+    age = Number;
+    password = String;
+    confirmation = String;
+
+    static validate = {
+      email: isEmail,
+      age: [min(0), max(150)],
+      password: [required, minLength(8)],
+      confirmation: (value, state) => value !== state.password ? 'does not match the password' : undefined
+    };
+  }
+
+  class Account {
+    signup = Signup;
+    name = String;
+
+    static validate = { name: required };
+  }
+
+  let signup;
+  beforeEach(() => {
+    validated = 0;
+    signup = create(Signup, { email: 'homer@example.com', age: 39, password: 'donuts!!', confirmation: 'donuts!!' });
+  });
+
+  it('is valid when every validator passes', () => {
+    expect(signup.isValid).toBe(true);
+    expect(signup.errors).toEqual([]);
+    expect(signup.email.error).toBeUndefined();
+  });
+
+  describe('when fields are not valid', () => {
+    let invalid;
+    beforeEach(() => {
+      invalid = signup.email.set('homer').age.set(200).confirmation.set('beer');
+    });
+
+    it('lists the errors of every field', () => {
+      expect(invalid.isValid).toBe(false);
+      expect(invalid.errors).toEqual([
+        { path: ['email'], message: 'is not an email' },
+        { path: ['age'], message: 'must be at most 150' },
+        { path: ['confirmation'], message: 'does not match the password' }
+      ]);
+    });
+
+    it('has the error of each substate', () => {
+      expect(invalid.email.error).toBe('is not an email');
+      expect(invalid.age.error).toBe('must be at most 150');
+      expect(invalid.password.error).toBeUndefined();
+    });
+
+    it('becomes valid again', () => {
+      expect(invalid.email.set('homer@example.com').age.set(40).confirmation.set('donuts!!').isValid).toBe(true);
+    });
+  });
+
+  it('composes the errors of substates', () => {
+    let account = create(Account, { signup: { email: 'homer', password: 'donuts!!', confirmation: 'donuts!!' } });
+    expect(account.isValid).toBe(false);
+    expect(account.signup.isValid).toBe(false);
+    expect(account.errors).toEqual([
+      { path: ['name'], message: 'is required' },
+      { path: ['signup', 'email'], message: 'is not an email' }
+    ]);
+    expect(account.signup.email.error).toBe('is not an email');
+    expect('error' in account.signup).toBe(false);
+  });
+
+  it('computes the errors once for every state', () => {
+    expect(signup.isValid).toBe(true);
+    expect(signup.errors).toEqual([]);
+    expect(create(Signup, signup.state).isValid).toBe(true);
+    expect(validated).toBe(1);
+  });
+
+  it('does not replace validations that types define themselves', () => {
+    class Custom {
+      get isValid() {
+        return 'custom';
+      }
+    }
+    expect(create(Custom).isValid).toBe('custom');
+  });
+
+  it('leaves types without validators alone', () => {
+    class Point {
+      x = Number;
+      y = Number;
+    }
+    let point = create(Point, { x: 1, y: 2 });
+    expect('errors' in point).toBe(false);
+    expect('isValid' in point).toBe(false);
+    expect('error' in point.x).toBe(false);
+    expect('error' in point.x.increment().x).toBe(false);
+    expect('isValid' in Identity(point)).toBe(false);
+    expect('error' in Identity(point).x).toBe(false);
+  });
+
+  describe('of an identity', () => {
+    let id;
+    beforeEach(() => {
+      id = Identity(signup);
+    });
+
+    it('validates the current state', () => {
+      let next = id.email.set('homer');
+      expect(id.isValid).toBe(true);
+      expect(next.isValid).toBe(false);
+      expect(next.email.error).toBe('is not an email');
+    });
+
+    it('validates substates against their siblings', () => {
+      let next = id.password.set('duff beer');
+      expect(next.confirmation.state).toBe(id.confirmation.state);
+      expect(next.confirmation.error).toBe('does not match the password');
+      expect(id.confirmation.error).toBeUndefined();
+    });
+
+    it('validates the state of its own snapshot', () => {
+      let previous = id;
+      id.email.set('');
+      expect(previous.isValid).toBe(true);
+      expect(previous.email.error).toBeUndefined();
+    });
+  });
+
+  describe('validators', () => {
+    it('can require a value', () => {
+      expect(required('')).toBe('is required');
+      expect(required([])).toBe('is required');
+      expect(required('homer')).toBeUndefined();
+    });
+
+    it('can limit numbers', () => {
+      expect(min(1)(0)).toBe('must be at least 1');
+      expect(max(1)(2)).toBe('must be at most 1');
+      expect(min(1)(1)).toBeUndefined();
+    });
+
+    it('can limit lengths', () => {
+      expect(minLength(2)('a')).toBe('must be at least 2 long');
+      expect(maxLength(2)('abc')).toBe('must be at most 2 long');
+      expect(maxLength(2)('ab')).toBeUndefined();
+    });
+
+    it('can match patterns', () => {
+      expect(matches(/^\d+$/)('a')).toBe('is not valid');
+      expect(matches(/^\d+$/)('1')).toBeUndefined();
+    });
+  });
+});